@@ -0,0 +1,932 @@
+// Background service worker - owns the shared location cache and request queue
+// so every x.com tab shares one cache and one rate limit
+
+importScripts('settings.js', 'cacheStore.js', 'overrideStore.js', 'historyStore.js', 'watchlistStore.js');
+
+// Rate limiting
+const requestQueue = [];
+let isProcessingQueue = false;
+let lastRequestTime = 0;
+let minRequestInterval = SETTINGS_SCHEMA.min_request_interval_ms.default; // Time between requests, to avoid rate limits
+let maxConcurrentRequests = SETTINGS_SCHEMA.max_concurrent_requests.default;
+let activeRequests = 0;
+let rateLimitResetTime = 0; // Unix timestamp when rate limit resets
+const RATE_LIMIT_KEY = 'rate_limit_reset';
+
+// Queue state shown in the popup - kept in session storage so it survives
+// the service worker restarting, but not the browser
+let queuePaused = false;
+let lastRateLimit = null; // Last x-rate-limit-* headers seen: { limit, remaining, resetTime, seenAt }
+let sessionStats = { success: 0, failure: 0, timeout: 0 };
+const QUEUE_PAUSED_KEY = 'queue_paused';
+const LAST_RATE_LIMIT_KEY = 'last_rate_limit';
+const SESSION_STATS_KEY = 'lookup_stats';
+
+// Adaptive pacing - what's left of each rate limit window is spread over the
+// time until it resets, minus a reserve kept for the user's own browsing
+const RATE_LIMIT_RESERVE_SHARE = 0.2;
+const RATE_LIMIT_MIN_RESERVE = 3;
+
+// Lookup outcomes reported by the page script. Answers about the account are
+// cached (each with its own TTL, see getEntryTtl), failures that may go away
+// are retried with backoff, and auth errors are left for the user to fix.
+const CACHED_OUTCOMES = ['found', 'no-location', 'not-found', 'suspended'];
+const RETRIED_OUTCOMES = ['rate-limited', 'transient-error', 'timeout'];
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 60000;
+
+// Lookups that are queued or in flight, keyed by username, so tabs asking for
+// the same account share one API call
+const pendingLookups = new Map();
+
+// Queue priorities reported by content scripts - lower runs first
+const PRIORITY_VISIBLE = 0; // On screen
+const PRIORITY_NEAR = 1; // Within a screen of the viewport
+const PRIORITY_FAR = 2; // Scrolled far away
+const PRIORITY_WATCHLIST = 3; // Background re-checks of watched accounts
+let queueSequence = 0; // FIFO order within a priority
+
+const TWITTER_TAB_URLS = ['https://x.com/*', 'https://twitter.com/*'];
+
+// Latest AboutAccountQuery discovery result, shown in the popup
+const QUERY_DISCOVERY_KEY = 'query_discovery';
+
+// Watched accounts are re-checked by an alarm once per X rate limit window
+// (15 minutes), each pass using at most watchlist_budget_percent of the limit
+const WATCHLIST_ALARM = 'watchlist-check';
+const WATCHLIST_ALARM_MINUTES = 15;
+const WATCHLIST_ASSUMED_LIMIT = 50; // Until we've seen X's rate limit headers
+const LOCATION_CHANGE_NOTIFICATION = 'location-change';
+let watchlistInterval = SETTINGS_SCHEMA.watchlist_interval_hours.default * 60 * 60 * 1000;
+let watchlistBudgetShare = SETTINGS_SCHEMA.watchlist_budget_percent.default / 100;
+
+// Prepare the persistent cache - migrate the old storage format and trim it
+async function initCache() {
+  try {
+    await migrateLegacyCache();
+    await seedLocationHistory();
+    await evictCacheEntries();
+    await evictLocationHistory();
+  } catch (error) {
+    console.error('Error initializing cache:', error);
+  }
+}
+
+// Save a single entry to cache
+async function saveCacheEntry(username, location, source = 'api', profile = null, outcome = null) {
+  try {
+    return await putCacheEntry(username, location, source, profile, outcome);
+  } catch (error) {
+    console.error(`Error saving cache entry for ${username}:`, error);
+    return createCacheEntry(username, location, source, Date.now(), profile, outcome);
+  }
+}
+
+// Add a location to the account's history. Resolves the location it had
+// before if it changed, otherwise null.
+async function saveLocationHistory(username, location) {
+  try {
+    return await recordLocationHistory(username, location);
+  } catch (error) {
+    console.error(`Error saving location history for ${username}:`, error);
+    return null;
+  }
+}
+
+// A location changed - log it and show a notification if the account is watched
+async function handleLocationChange(screenName, from, to) {
+  try {
+    if (!(await getWatchlistEntry(screenName))) {
+      return;
+    }
+    const change = await addLocationChange(screenName, from, to);
+    chrome.notifications.create(`${LOCATION_CHANGE_NOTIFICATION}:${screenName}:${change.changedAt}`, {
+      type: 'basic',
+      iconUrl: 'icons/notification.png',
+      title: `@${screenName} changed location`,
+      message: `${from} → ${to}`,
+      contextMessage: 'Watchlist'
+    });
+  } catch (error) {
+    console.error(`Error recording location change for ${screenName}:`, error);
+  }
+}
+
+// Restore rate limit and queue state - the service worker may have been
+// restarted mid-wait
+async function loadRateLimitState() {
+  try {
+    const result = await chrome.storage.session.get([RATE_LIMIT_KEY, QUEUE_PAUSED_KEY, LAST_RATE_LIMIT_KEY, SESSION_STATS_KEY]);
+    rateLimitResetTime = result[RATE_LIMIT_KEY] || 0;
+    queuePaused = result[QUEUE_PAUSED_KEY] || false;
+    lastRateLimit = result[LAST_RATE_LIMIT_KEY] || null;
+    sessionStats = { ...sessionStats, ...result[SESSION_STATS_KEY] };
+  } catch (error) {
+    console.error('Error loading rate limit state:', error);
+  }
+}
+
+function setRateLimitResetTime(resetTime) {
+  rateLimitResetTime = resetTime;
+  chrome.storage.session.set({ [RATE_LIMIT_KEY]: resetTime }).catch(() => {});
+}
+
+function setLastRateLimit(rateLimit) {
+  if (!Number.isFinite(rateLimit?.limit) || !Number.isFinite(rateLimit?.remaining)) {
+    return;
+  }
+  // Responses can arrive out of order - ignore older windows, and within a
+  // window the lowest remaining count is the latest
+  if (lastRateLimit && rateLimit.resetTime && lastRateLimit.resetTime) {
+    if (rateLimit.resetTime < lastRateLimit.resetTime) return;
+    if (rateLimit.resetTime === lastRateLimit.resetTime && rateLimit.remaining > lastRateLimit.remaining) return;
+  }
+  lastRateLimit = {
+    limit: rateLimit.limit,
+    remaining: rateLimit.remaining,
+    resetTime: rateLimit.resetTime || null,
+    seenAt: Date.now()
+  };
+  chrome.storage.session.set({ [LAST_RATE_LIMIT_KEY]: lastRateLimit }).catch(() => {});
+}
+
+// Count a finished API lookup attempt in the popup's success/failure/timeout stats
+function recordLookupOutcome(outcome) {
+  const bucket = CACHED_OUTCOMES.includes(outcome) ? 'success' : outcome === 'timeout' ? 'timeout' : 'failure';
+  sessionStats[bucket]++;
+  chrome.storage.session.set({ [SESSION_STATS_KEY]: sessionStats }).catch(() => {});
+}
+
+// Lookups we can still make in the current rate limit window without eating
+// into the reserve, or null if we haven't seen this window's headers
+function getRateLimitBudget() {
+  if (!lastRateLimit?.resetTime) {
+    return null;
+  }
+  const windowLeft = lastRateLimit.resetTime * 1000 - Date.now();
+  if (windowLeft <= 0) {
+    return null;
+  }
+  const reserve = Math.max(RATE_LIMIT_MIN_RESERVE, Math.ceil(lastRateLimit.limit * RATE_LIMIT_RESERVE_SHARE));
+  // Requests in flight aren't counted in the last remaining value yet
+  return { requests: lastRateLimit.remaining - reserve - activeRequests, windowLeft };
+}
+
+// Time between lookups - the configured minimum, or slower if that pace would
+// use up the budget before the window resets
+function getRequestInterval() {
+  const budget = getRateLimitBudget();
+  if (!budget || budget.requests <= 0) {
+    return minRequestInterval;
+  }
+  return Math.max(minRequestInterval, Math.ceil(budget.windowLeft / budget.requests));
+}
+
+function isBudgetSpent() {
+  const budget = getRateLimitBudget();
+  return Boolean(budget) && budget.requests <= 0;
+}
+
+// Everything the popup dashboard shows
+function getQueueStatus() {
+  return {
+    queueLength: requestQueue.length,
+    activeRequests,
+    paused: queuePaused,
+    requestInterval: getRequestInterval(),
+    holdingReserve: isBudgetSpent(),
+    rateLimitResetTime,
+    lastRateLimit,
+    stats: sessionStats
+  };
+}
+
+function setQueuePaused(paused) {
+  queuePaused = paused;
+  chrome.storage.session.set({ [QUEUE_PAUSED_KEY]: paused }).catch(() => {});
+  console.log(paused ? 'Lookup queue paused' : 'Lookup queue resumed');
+  if (!paused) {
+    processRequestQueue();
+  }
+}
+
+// Drop every queued lookup. Waiting tabs are told they were cancelled, so
+// they look the accounts up again if they're still on the page.
+function clearRequestQueue() {
+  const cleared = requestQueue.splice(0);
+  for (const item of cleared) {
+    pendingLookups.delete(item.handle);
+    item.resolve(undefined);
+  }
+  console.log(`Cleared ${cleared.length} queued lookups`);
+}
+
+// Apply the request and cache settings that changed
+function applySettings(settings) {
+  if (settings.min_request_interval_ms !== undefined) {
+    minRequestInterval = settings.min_request_interval_ms;
+  }
+  if (settings.max_concurrent_requests !== undefined) {
+    maxConcurrentRequests = settings.max_concurrent_requests;
+    processRequestQueue();
+  }
+  if (settings.location_ttl_days !== undefined || settings.no_location_ttl_days !== undefined) {
+    setCacheTtls(
+      settings.location_ttl_days ?? locationTtl / DAY_MS,
+      settings.no_location_ttl_days ?? noLocationTtl / DAY_MS
+    );
+  }
+  if (settings.watchlist_interval_hours !== undefined) {
+    watchlistInterval = settings.watchlist_interval_hours * 60 * 60 * 1000;
+  }
+  if (settings.watchlist_budget_percent !== undefined) {
+    watchlistBudgetShare = settings.watchlist_budget_percent / 100;
+  }
+}
+
+async function initSettings() {
+  try {
+    await migrateLocalSettings();
+    applySettings(await loadSettings());
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+}
+
+onSettingsChanged(applySettings);
+
+const ready = Promise.all([initCache(), loadRateLimitState(), initSettings()]);
+
+// Get the x.com tabs that can run a lookup, preferred tab first
+async function getLookupTabIds(preferredTabId) {
+  const tabs = await chrome.tabs.query({ url: TWITTER_TAB_URLS });
+  const tabIds = tabs.map(tab => tab.id).filter(id => id !== preferredTabId);
+  if (preferredTabId !== undefined) {
+    tabIds.unshift(preferredTabId);
+  }
+  return tabIds;
+}
+
+// Send a message to every x.com tab
+async function broadcastToTabs(message) {
+  const tabs = await chrome.tabs.query({ url: TWITTER_TAB_URLS });
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {
+      // Tab might not have content script loaded yet, that's okay
+    });
+  }
+}
+
+// Ask a tab's page script to make the API request - falls back to other tabs
+// if the requesting tab was closed or can't make requests
+async function dispatchLookup(screenName, preferredTabId) {
+  const tabIds = await getLookupTabIds(preferredTabId);
+  for (const tabId of tabIds) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { type: 'fetchLocation', screenName });
+      if (response) {
+        return response;
+      }
+    } catch (error) {
+      // Tab closed or content script not loaded, try the next one
+    }
+  }
+  console.log(`No tab available to look up ${screenName}`);
+  return null;
+}
+
+// Effective priority of a queued lookup - the most urgent of the tabs waiting on it
+function getQueuePriority(item) {
+  return Math.min(...item.priorities.values());
+}
+
+// Take the most urgent queued request, oldest first within a priority.
+// Requests waiting to be retried are skipped until their backoff has passed.
+function takeNextRequest() {
+  const now = Date.now();
+  let bestIndex = -1;
+  let bestPriority = Infinity;
+  for (let i = 0; i < requestQueue.length; i++) {
+    if (requestQueue[i].retryAt > now) {
+      continue;
+    }
+    const priority = getQueuePriority(requestQueue[i]);
+    if (priority < bestPriority ||
+        (priority === bestPriority && requestQueue[i].seq < requestQueue[bestIndex].seq)) {
+      bestIndex = i;
+      bestPriority = priority;
+    }
+  }
+  if (bestIndex === -1) {
+    return null;
+  }
+  return requestQueue.splice(bestIndex, 1)[0];
+}
+
+function findQueuedRequest(screenName) {
+  const handle = normalizeHandle(screenName);
+  return requestQueue.find(item => item.handle === handle);
+}
+
+// Update how urgently a tab needs a queued lookup (e.g. it scrolled into view)
+function updateRequestPriority(screenName, tabId, priority) {
+  const item = findQueuedRequest(screenName);
+  if (item) {
+    item.priorities.set(tabId, priority);
+  }
+}
+
+// A tab no longer needs a lookup (its elements left the DOM). Drop the queued
+// request once no tab is waiting on it.
+function cancelRequest(screenName, tabId) {
+  const item = findQueuedRequest(screenName);
+  if (!item) {
+    return;
+  }
+  item.priorities.delete(tabId);
+  if (item.priorities.size === 0) {
+    requestQueue.splice(requestQueue.indexOf(item), 1);
+    pendingLookups.delete(item.handle);
+    item.resolve(undefined);
+    console.log(`Dropped queued lookup for ${screenName}, no longer on any page`);
+  }
+}
+
+// Exponential backoff with jitter - half the delay is fixed and half random,
+// so tabs retrying at the same time spread out
+function getRetryDelay(attempt) {
+  const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Put a failed lookup back in the queue to try again after a backoff. Rate
+// limited lookups also wait for the limit to reset before the queue moves.
+function scheduleRetry(item, outcome) {
+  const delay = getRetryDelay(item.attempt);
+  item.attempt++;
+  item.retryAt = Date.now() + delay;
+  requestQueue.push(item);
+  console.log(`Lookup for ${item.screenName} failed (${outcome}), retry ${item.attempt} of ${MAX_RETRIES} in ${Math.ceil(delay / 1000)}s`);
+  setTimeout(processRequestQueue, delay);
+}
+
+// Process request queue with rate limiting
+async function processRequestQueue() {
+  if (isProcessingQueue || queuePaused || requestQueue.length === 0) {
+    return;
+  }
+
+  // Check if we're rate limited
+  if (rateLimitResetTime > 0) {
+    const now = Math.floor(Date.now() / 1000);
+    if (now < rateLimitResetTime) {
+      const waitTime = (rateLimitResetTime - now) * 1000;
+      console.log(`Rate limited. Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes...`);
+      setTimeout(processRequestQueue, Math.min(waitTime, 60000)); // Check every minute max
+      return;
+    } else {
+      // Rate limit expired, reset
+      setRateLimitResetTime(0);
+    }
+  }
+
+  // Only the reserve is left - leave it for the user until the window resets.
+  // Lookups in flight will call us again when they finish.
+  const budget = getRateLimitBudget();
+  if (budget && budget.requests <= 0) {
+    if (activeRequests === 0) {
+      console.log(`Rate limit budget used, waiting ${Math.ceil(budget.windowLeft / 1000)}s for the window to reset`);
+      setTimeout(processRequestQueue, Math.min(budget.windowLeft, 60000));
+    }
+    return;
+  }
+
+  isProcessingQueue = true;
+  let stoppedForBudget = false;
+
+  while (requestQueue.length > 0 && activeRequests < maxConcurrentRequests && !queuePaused) {
+    const now = Date.now();
+    const timeSinceLastRequest = now - lastRequestTime;
+    const requestInterval = getRequestInterval();
+
+    // Wait if needed to respect rate limit
+    if (timeSinceLastRequest < requestInterval) {
+      await new Promise(resolve => setTimeout(resolve, requestInterval - timeSinceLastRequest));
+    }
+
+    // The queue may have changed while we waited (cancelled, harvested or
+    // paused), and responses that came in may have used up the budget
+    if (queuePaused) {
+      break;
+    }
+    if (isBudgetSpent()) {
+      stoppedForBudget = true;
+      break;
+    }
+    // Nothing left but lookups waiting out a retry backoff - their timers
+    // will call us again
+    const next = takeNextRequest();
+    if (!next) {
+      break;
+    }
+    const { screenName, tabId, resolve } = next;
+    activeRequests++;
+    lastRequestTime = Date.now();
+
+    // Make the request
+    makeLocationRequest(screenName, tabId)
+      .catch(error => {
+        console.error(`Error looking up ${screenName}:`, error);
+        return { outcome: 'transient-error', record: null };
+      })
+      .then(({ outcome, record }) => {
+        recordLookupOutcome(outcome);
+        // Retry failures that may go away, as long as a tab still wants the answer
+        if (RETRIED_OUTCOMES.includes(outcome) && next.attempt < MAX_RETRIES && next.priorities.size > 0) {
+          scheduleRetry(next, outcome);
+          return;
+        }
+        pendingLookups.delete(next.handle);
+        resolve(record);
+      })
+      .finally(() => {
+        activeRequests--;
+        // Continue processing queue
+        setTimeout(processRequestQueue, 200);
+      });
+  }
+
+  isProcessingQueue = false;
+
+  // Stopped for the budget with nothing in flight to call us again
+  if (stoppedForBudget && activeRequests === 0) {
+    setTimeout(processRequestQueue, 1000);
+  }
+}
+
+// What content scripts get back for a lookup - the location plus when and how
+// we learned it, for the hover card
+function toLocationRecord(entry, fromCache) {
+  return {
+    location: entry.location,
+    profile: entry.profile || null,
+    fetchedAt: entry.fetchedAt,
+    source: entry.source,
+    outcome: entry.outcome,
+    fromCache
+  };
+}
+
+// Make actual API request through one of the x.com tabs. Resolves the
+// lookup's outcome and, for outcomes we cache, its location record.
+async function makeLocationRequest(screenName, tabId) {
+  const response = await dispatchLookup(screenName, tabId);
+  if (!response) {
+    // No tab could make the request right now
+    return { outcome: 'transient-error', record: null };
+  }
+
+  const outcome = response.outcome;
+  if (response.rateLimit) {
+    setLastRateLimit(response.rateLimit);
+  }
+
+  if (!CACHED_OUTCOMES.includes(outcome)) {
+    // Rate limits, auth errors, timeouts and server errors say nothing about the account
+    console.log(`Not caching lookup for ${screenName}: ${outcome}${response.detail ? ` (${response.detail})` : ''}`);
+    return { outcome, record: null };
+  }
+
+  const location = outcome === 'found' ? response.location : null;
+  const entry = await saveCacheEntry(screenName, location, 'api', response.profile || null, outcome);
+  const previousLocation = await saveLocationHistory(screenName, location);
+  if (previousLocation) {
+    // Redraw badges still showing the old location, now with the change marker
+    broadcastToTabs({ type: 'locationChanged', screenName });
+    await handleLocationChange(screenName, previousLocation, location);
+  }
+  // Let every tab know, so containers waiting on this username pick it up
+  broadcastToTabs({ type: 'locationResolved', screenName, location });
+  return { outcome, record: toLocationRecord(entry, false) };
+}
+
+// A manual override as a location record. The API's location is kept
+// alongside for the hover card.
+function toOverrideRecord(override, cached) {
+  return {
+    location: override.location,
+    profile: cached?.profile || null,
+    fetchedAt: override.updatedAt,
+    source: 'manual',
+    outcome: 'found',
+    note: override.note,
+    apiLocation: cached?.location || null,
+    fromCache: true
+  };
+}
+
+// Look up a user location record - the manual override if there is one,
+// otherwise from cache or through the shared queue - with the account's note,
+// the locations it reported before and whether it's watched.
+// Resolves null if the lookup failed, undefined if it was cancelled before it ran.
+async function getUserLocation(screenName, tabId, priority = PRIORITY_VISIBLE) {
+  await ready;
+
+  const override = await readOverride(screenName);
+  if (override?.location) {
+    const cached = await getCacheEntry(screenName).catch(() => null);
+    return addAccountDetails(screenName, toOverrideRecord(override, cached));
+  }
+
+  const record = await lookupUserLocation(screenName, tabId, priority);
+  return completeLocationRecord(screenName, record, override);
+}
+
+// The account's override and note, or null if it has none or can't be read
+async function readOverride(screenName) {
+  try {
+    return await getOverride(screenName);
+  } catch (error) {
+    console.error(`Error reading override for ${screenName}:`, error);
+    return null;
+  }
+}
+
+// Apply the account's override and note to a looked up record and add its
+// account details - what the hover card and badges expect
+function completeLocationRecord(screenName, record, override) {
+  if (!record) {
+    return record;
+  }
+  if (override?.location) {
+    return addAccountDetails(screenName, toOverrideRecord(override, record));
+  }
+  return addAccountDetails(screenName, override?.note ? { ...record, note: override.note } : record);
+}
+
+// Add the locations X reported for the account before the current one -
+// earlierLocations is newest first, empty if it never changed - and whether
+// it's on the watchlist
+async function addAccountDetails(screenName, record) {
+  const current = record.source === 'manual' ? record.apiLocation : record.location;
+  let earlierLocations = [];
+  let watched = false;
+  try {
+    earlierLocations = getEarlierLocations(await getLocationHistory(screenName), current);
+    watched = Boolean(await getWatchlistEntry(screenName));
+  } catch (error) {
+    console.error(`Error reading history and watchlist for ${screenName}:`, error);
+  }
+  return { ...record, earlierLocations, watched };
+}
+
+// Look up a user location record from cache or through the shared queue.
+// bypassCache always makes a new lookup.
+async function lookupUserLocation(screenName, tabId, priority, bypassCache = false) {
+  // Check cache first - "no location" results are cached too, with a shorter TTL
+  try {
+    const cached = bypassCache ? null : await getCacheEntry(screenName);
+    if (cached) {
+      return toLocationRecord(cached, true);
+    }
+  } catch (error) {
+    console.error(`Error reading cache entry for ${screenName}:`, error);
+  }
+
+  return queueLookup(screenName, tabId, priority);
+}
+
+// Add a lookup to the shared queue, skipping the cache
+function queueLookup(screenName, tabId, priority) {
+  // Another tab already asked for this username
+  const handle = normalizeHandle(screenName);
+  if (pendingLookups.has(handle)) {
+    updateRequestPriority(screenName, tabId, priority);
+    return pendingLookups.get(handle);
+  }
+
+  console.log(`Queueing API request for ${screenName} (priority ${priority})`);
+  const lookup = new Promise((resolve) => {
+    requestQueue.push({
+      screenName,
+      handle,
+      tabId,
+      resolve,
+      priorities: new Map([[tabId, priority]]),
+      seq: queueSequence++,
+      attempt: 0,
+      retryAt: 0
+    });
+    processRequestQueue();
+  });
+  pendingLookups.set(handle, lookup);
+  return lookup;
+}
+
+// Save locations harvested from Twitter's own responses - and answer any
+// queued lookups for those accounts without spending an API call
+async function harvestLocations(locations) {
+  await ready;
+
+  for (const { screenName, location, profile } of locations) {
+    if (typeof screenName !== 'string' || typeof location !== 'string' || !location) {
+      continue;
+    }
+
+    const handle = normalizeHandle(screenName);
+    const queueIndex = requestQueue.findIndex(item => item.handle === handle);
+    if (queueIndex !== -1) {
+      const [queued] = requestQueue.splice(queueIndex, 1);
+      pendingLookups.delete(handle);
+      queued.resolve({ location, profile: profile || null, fetchedAt: Date.now(), source: 'harvest', outcome: 'found', fromCache: false });
+      console.log(`Answered queued lookup for ${screenName} from harvested data`);
+    }
+
+    // Skip the write if we already know this location
+    try {
+      const cached = await getCacheEntry(screenName);
+      if (cached && cached.location === location && (cached.profile || !profile)) {
+        continue;
+      }
+    } catch (error) {
+      // Fall through and overwrite
+    }
+
+    await saveCacheEntry(screenName, location, 'harvest', profile || null);
+    const previousLocation = await saveLocationHistory(screenName, location);
+    broadcastToTabs({ type: 'locationResolved', screenName, location });
+    if (previousLocation) {
+      // Redraw badges still showing the old location, now with the change marker
+      broadcastToTabs({ type: 'locationChanged', screenName });
+      await handleLocationChange(screenName, previousLocation, location);
+    }
+  }
+}
+
+// Look the account up again, skipping the cache and any override (hover card
+// and cache browser "Refresh"). The cached entry is only replaced when the
+// lookup gets an answer, so a failed refresh keeps what we had.
+async function refreshLocation(screenName, tabId) {
+  await ready;
+  const record = await lookupUserLocation(screenName, tabId, PRIORITY_VISIBLE, true);
+  if (!record) {
+    return record;
+  }
+  broadcastToTabs({ type: 'locationChanged', screenName });
+  return completeLocationRecord(screenName, record, await readOverride(screenName));
+}
+
+// Set or clear an account's manual location and note (hover card or popup)
+async function setOverride(screenName, location, note) {
+  await ready;
+  const override = await putOverride(screenName, location, note);
+  console.log(`Override for ${screenName}:`, override);
+  broadcastToTabs({ type: 'locationChanged', screenName });
+  return override;
+}
+
+// Add or remove an account from the watchlist (hover card, popup or options page)
+async function setAccountWatched(screenName, watched) {
+  await ready;
+  const entry = await setWatched(screenName, watched);
+  console.log(`${watched ? 'Watching' : 'Stopped watching'} ${screenName}`);
+  broadcastToTabs({ type: 'locationChanged', screenName });
+  if (entry && !queuePaused) {
+    // Check it now rather than waiting up to a whole interval
+    checkWatchedAccount(entry);
+  }
+  return entry;
+}
+
+// Look a watched account up again, skipping the cache, and note when it was checked
+function checkWatchedAccount(entry) {
+  queueLookup(entry.screenName, undefined, PRIORITY_WATCHLIST)
+    .then(record => record && markWatchlistChecked(entry.screenName))
+    .catch(error => console.error(`Error re-checking ${entry.screenName}:`, error));
+}
+
+// How many watched accounts this alarm pass may look up - the configured
+// share of X's limit, less any checks still queued from the last pass, and
+// never more than the budget left outside the reserve
+function getWatchlistAllowance() {
+  const limit = lastRateLimit?.limit || WATCHLIST_ASSUMED_LIMIT;
+  const queued = requestQueue.filter(item => getQueuePriority(item) === PRIORITY_WATCHLIST).length;
+  let allowance = Math.max(1, Math.floor(limit * watchlistBudgetShare)) - queued;
+  const budget = getRateLimitBudget();
+  if (budget) {
+    allowance = Math.min(allowance, budget.requests);
+  }
+  return Math.max(0, allowance);
+}
+
+// Queue lookups for the watched accounts due a re-check, least recently
+// checked first. The lookups skip the cache but otherwise go through the
+// shared queue like any other, behind everything the open tabs need.
+async function checkWatchlist() {
+  await ready;
+  if (queuePaused || rateLimitResetTime * 1000 > Date.now()) {
+    return;
+  }
+  if ((await getLookupTabIds()).length === 0) {
+    console.log('Watchlist check skipped, no x.com tab to make lookups');
+    return;
+  }
+
+  const now = Date.now();
+  const due = (await getWatchlist())
+    .filter(entry => now - entry.lastCheckedAt >= watchlistInterval && !pendingLookups.has(entry.handle))
+    .sort((a, b) => a.lastCheckedAt - b.lastCheckedAt)
+    .slice(0, getWatchlistAllowance());
+  if (due.length === 0) {
+    return;
+  }
+
+  console.log(`Re-checking ${due.length} watched accounts`);
+  due.forEach(checkWatchedAccount);
+}
+
+// Keep the existing alarm if there is one - creating it again would restart
+// its period every time the service worker wakes up
+async function initWatchlistAlarm() {
+  const alarm = await chrome.alarms.get(WATCHLIST_ALARM);
+  if (!alarm) {
+    await chrome.alarms.create(WATCHLIST_ALARM, { delayInMinutes: 1, periodInMinutes: WATCHLIST_ALARM_MINUTES });
+  }
+}
+
+initWatchlistAlarm().catch(error => console.error('Error creating watchlist alarm:', error));
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCHLIST_ALARM) {
+    checkWatchlist().catch(error => console.error('Error checking watchlist:', error));
+  }
+});
+
+// Clicking a change notification opens the account
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const [type, screenName] = notificationId.split(':');
+  if (type !== LOCATION_CHANGE_NOTIFICATION) {
+    return;
+  }
+  chrome.tabs.create({ url: `https://x.com/${encodeURIComponent(screenName)}` });
+  chrome.notifications.clear(notificationId);
+});
+
+// Handle messages from content scripts
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.type === 'getLocation') {
+    getUserLocation(request.screenName, sender.tab?.id, request.priority)
+      .then(record => {
+        if (record === undefined) {
+          sendResponse({ location: null, cancelled: true });
+        } else {
+          sendResponse(record || { location: null });
+        }
+      })
+      .catch(error => {
+        console.error(`Error getting location for ${request.screenName}:`, error);
+        sendResponse({ location: null });
+      });
+    return true; // Keep the channel open for the async response
+  }
+
+  if (request.type === 'refreshLocation') {
+    refreshLocation(request.screenName, sender.tab?.id)
+      .then(record => sendResponse(record || { location: null }))
+      .catch(error => {
+        console.error(`Error updating location for ${request.screenName}:`, error);
+        sendResponse({ location: null });
+      });
+    return true; // Keep the channel open for the async response
+  }
+
+  // Overrides and notes, from the hover card, popup or options page
+  if (request.type === 'setOverride') {
+    setOverride(request.screenName, request.location, request.note)
+      .then(override => sendResponse({ ok: true, override }))
+      .catch(error => {
+        console.error(`Error saving override for ${request.screenName}:`, error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true; // Keep the channel open for the async response
+  }
+
+  if (request.type === 'getOverride') {
+    ready
+      .then(() => getOverride(request.screenName))
+      .then(override => sendResponse({ ok: true, override }))
+      .catch(error => {
+        console.error(`Error reading override for ${request.screenName}:`, error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true; // Keep the channel open for the async response
+  }
+
+  if (request.type === 'listOverrides') {
+    ready
+      .then(() => getAllOverrides())
+      .then(overrides => sendResponse({ ok: true, overrides }))
+      .catch(error => {
+        console.error('Error listing overrides:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true; // Keep the channel open for the async response
+  }
+
+  // Watchlist and changes log, from the hover card, popup or options page
+  if (request.type === 'setWatched') {
+    setAccountWatched(request.screenName, request.watched)
+      .then(entry => sendResponse({ ok: true, entry }))
+      .catch(error => {
+        console.error(`Error updating watchlist for ${request.screenName}:`, error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true; // Keep the channel open for the async response
+  }
+
+  if (request.type === 'listWatchlist') {
+    ready
+      .then(() => getWatchlist())
+      .then(watchlist => sendResponse({ ok: true, watchlist }))
+      .catch(error => {
+        console.error('Error listing watchlist:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true; // Keep the channel open for the async response
+  }
+
+  if (request.type === 'listLocationChanges' || request.type === 'clearLocationChanges') {
+    ready
+      .then(() => request.type === 'clearLocationChanges' ? clearLocationChanges().then(() => []) : getLocationChanges())
+      .then(changes => sendResponse({ ok: true, changes }))
+      .catch(error => {
+        console.error('Error reading location changes:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true; // Keep the channel open for the async response
+  }
+
+  if (request.type === 'updatePriority') {
+    updateRequestPriority(request.screenName, sender.tab?.id, request.priority);
+  }
+
+  if (request.type === 'cancelLookup') {
+    cancelRequest(request.screenName, sender.tab?.id);
+  }
+
+  if (request.type === 'harvestLocations') {
+    harvestLocations(request.locations).catch(error => {
+      console.error('Error saving harvested locations:', error);
+    });
+  }
+
+  if (request.type === 'queryDiscovery') {
+    chrome.storage.local.set({
+      [QUERY_DISCOVERY_KEY]: {
+        status: request.status,
+        queryId: request.queryId,
+        source: request.source,
+        detail: request.detail,
+        updatedAt: Date.now()
+      }
+    }).catch(() => {});
+  }
+
+  // Popup dashboard - status polling and queue controls
+  if (request.type === 'getQueueStatus') {
+    ready.then(() => sendResponse(getQueueStatus()));
+    return true; // Keep the channel open for the async response
+  }
+
+  if (request.type === 'pauseQueue' || request.type === 'resumeQueue' || request.type === 'clearQueue') {
+    ready.then(() => {
+      if (request.type === 'clearQueue') {
+        clearRequestQueue();
+      } else {
+        setQueuePaused(request.type === 'pauseQueue');
+      }
+      sendResponse(getQueueStatus());
+    });
+    return true; // Keep the channel open for the async response
+  }
+
+  // Rate limit headers from Twitter's own AboutAccountQuery calls
+  if (request.type === 'rateLimitStatus') {
+    setLastRateLimit(request);
+  }
+
+  if (request.type === 'rateLimitInfo') {
+    setRateLimitResetTime(request.resetTime);
+    console.log(`Rate limit detected. Will resume requests in ${Math.ceil(request.waitTime / 1000 / 60)} minutes`);
+  }
+});
+
+// A closed tab no longer needs its queued lookups
+chrome.tabs.onRemoved.addListener((tabId) => {
+  for (const item of [...requestQueue]) {
+    if (item.priorities.has(tabId)) {
+      cancelRequest(item.screenName, tabId);
+    }
+  }
+});
@@ -0,0 +1,254 @@
+// Floating country breakdown for reply threads and search results, counted
+// from the tweet locations addFlagToUsername has already resolved
+const BREAKDOWN_UPDATE_DELAY = 500;
+const BREAKDOWN_MAX_ROWS = 12;
+
+let showBreakdownPanel = SETTINGS_SCHEMA.breakdown_panel.default;
+let breakdownPanel = null;
+let breakdownUpdateTimeout = null;
+let breakdownDismissedUrl = null; // Closed on this page - comes back after navigating
+let highlightedGroup = null;
+let highlightIndex = 0;
+
+function setBreakdownPanelEnabled(enabled) {
+  showBreakdownPanel = enabled;
+  updateBreakdownPanel();
+}
+
+// Conversations are /user/status/id, search is /search
+function getBreakdownPage() {
+  const statusMatch = location.pathname.match(/^\/[^/]+\/status\/(\d+)/);
+  if (statusMatch) return { kind: 'replies', statusId: statusMatch[1] };
+  if (location.pathname.startsWith('/search')) return { kind: 'tweets', statusId: null };
+  return null;
+}
+
+// Add panel styles if not already added
+function ensureBreakdownStyles() {
+  if (document.getElementById('twitter-flag-breakdown-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'twitter-flag-breakdown-style';
+  style.textContent = `
+    .twitter-flag-breakdown {
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      z-index: 2147483646;
+      width: 220px;
+      max-height: 50vh;
+      overflow-y: auto;
+      padding: 10px 12px;
+      border-radius: 12px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      background: #ffffff;
+      color: #0f1419;
+      box-shadow: rgba(101, 119, 134, 0.2) 0 0 15px, rgba(101, 119, 134, 0.15) 0 0 3px 1px;
+    }
+    .twitter-flag-breakdown.dark {
+      background: #000000;
+      color: #e7e9ea;
+      box-shadow: rgba(255, 255, 255, 0.2) 0 0 15px, rgba(255, 255, 255, 0.15) 0 0 3px 1px;
+    }
+    .twitter-flag-breakdown-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      font-weight: 700;
+      margin-bottom: 6px;
+    }
+    .twitter-flag-breakdown button {
+      font: inherit;
+      border: none;
+      background: transparent;
+      color: inherit;
+      cursor: pointer;
+    }
+    .twitter-flag-breakdown-row {
+      display: flex;
+      justify-content: space-between;
+      width: 100%;
+      padding: 2px 4px;
+      border-radius: 4px;
+      text-align: left;
+    }
+    .twitter-flag-breakdown-row:hover,
+    .twitter-flag-breakdown-row.active {
+      background: rgba(29, 155, 240, 0.15);
+    }
+    .twitter-flag-breakdown-row:disabled {
+      cursor: default;
+      background: transparent;
+      opacity: 0.7;
+    }
+    article[data-twitter-flag-highlight] {
+      outline: 2px solid rgb(29, 155, 240);
+      outline-offset: -2px;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// The tweet's own permalink - the focal tweet of a conversation isn't a reply
+function getTweetStatusId(article) {
+  const time = queryLayout(article, 'timestamp');
+  const link = time?.closest('a[href*="/status/"]');
+  return link?.getAttribute('href').match(/\/status\/(\d+)/)?.[1] || null;
+}
+
+// Group the rendered tweets by their author's country
+function countTweetLocations(page) {
+  const groups = new Map();
+  const addToGroup = (key, label, article) => {
+    if (!groups.has(key)) {
+      groups.set(key, { key, label, articles: [] });
+    }
+    groups.get(key).articles.push(article);
+  };
+
+  let total = 0;
+  let pending = 0;
+  queryAllLayout(document, 'tweet').forEach(article => {
+    if (page.statusId && getTweetStatusId(article) === page.statusId) return;
+    total++;
+
+    const info = getTweetLocation(article);
+    if (!info) {
+      pending++;
+    } else if (info.country) {
+      const country = info.country;
+      const key = country.code || country.name;
+      addToGroup(key, `${country.flag || ''} ${country.code || country.name}`.trim(), article);
+    } else if (info.location) {
+      addToGroup('other', 'Other', article);
+    } else {
+      addToGroup('unknown', 'Unknown', article);
+    }
+  });
+
+  // Largest first, with "Other" and "Unknown" at the end
+  const sorted = [...groups.values()].sort((a, b) => {
+    const aLast = a.key === 'other' || a.key === 'unknown';
+    const bLast = b.key === 'other' || b.key === 'unknown';
+    if (aLast !== bLast) return aLast ? 1 : -1;
+    return b.articles.length - a.articles.length;
+  });
+  return { total, pending, groups: sorted };
+}
+
+function clearHighlights() {
+  document.querySelectorAll('article[data-twitter-flag-highlight]').forEach(article => {
+    delete article.dataset.twitterFlagHighlight;
+  });
+}
+
+// Highlight a country's tweets and jump to the next one on each click
+function highlightGroup(group) {
+  if (highlightedGroup !== group.key) {
+    highlightedGroup = group.key;
+    highlightIndex = 0;
+  }
+  clearHighlights();
+  group.articles.forEach(article => {
+    article.dataset.twitterFlagHighlight = 'true';
+  });
+
+  // Collapsed tweets are scrolled to by their bar; hidden tweets are skipped
+  const targets = group.articles
+    .map(article => article.offsetParent ? article : getCollapsedBar(article))
+    .filter(target => target?.offsetParent);
+  if (targets.length === 0) return;
+  targets[highlightIndex % targets.length].scrollIntoView({ behavior: 'smooth', block: 'center' });
+  highlightIndex++;
+  updateBreakdownPanel();
+}
+
+function createBreakdownRow(label, count, group) {
+  const row = document.createElement('button');
+  row.type = 'button';
+  row.className = 'twitter-flag-breakdown-row';
+  const labelElement = document.createElement('span');
+  labelElement.textContent = label;
+  const countElement = document.createElement('span');
+  countElement.textContent = count;
+  row.append(labelElement, countElement);
+
+  if (group) {
+    row.title = `Show these ${count} tweets`;
+    row.classList.toggle('active', highlightedGroup === group.key);
+    row.addEventListener('click', () => highlightGroup(group));
+  } else {
+    row.disabled = true;
+  }
+  return row;
+}
+
+function hideBreakdownPanel() {
+  if (breakdownPanel) {
+    breakdownPanel.remove();
+    breakdownPanel = null;
+  }
+  clearHighlights();
+  highlightedGroup = null;
+}
+
+function updateBreakdownPanel() {
+  const page = getBreakdownPage();
+  if (!extensionEnabled || !showBreakdownPanel || !page || breakdownDismissedUrl === location.href) {
+    hideBreakdownPanel();
+    return;
+  }
+
+  const { total, pending, groups } = countTweetLocations(page);
+  if (total === 0) {
+    hideBreakdownPanel();
+    return;
+  }
+
+  ensureBreakdownStyles();
+  if (!breakdownPanel) {
+    breakdownPanel = document.createElement('div');
+    breakdownPanel.className = 'twitter-flag-breakdown';
+    breakdownPanel.setAttribute('role', 'region');
+    breakdownPanel.setAttribute('aria-label', 'Where these accounts are based');
+    document.body.appendChild(breakdownPanel);
+  }
+  breakdownPanel.classList.toggle('dark', isDarkTheme());
+
+  const header = document.createElement('div');
+  header.className = 'twitter-flag-breakdown-header';
+  const title = document.createElement('span');
+  title.textContent = `${total} ${total === 1 ? page.kind.slice(0, -1) : page.kind}`;
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.textContent = '×';
+  closeButton.title = 'Hide breakdown';
+  closeButton.setAttribute('aria-label', 'Hide breakdown');
+  closeButton.addEventListener('click', () => {
+    breakdownDismissedUrl = location.href;
+    hideBreakdownPanel();
+  });
+  header.append(title, closeButton);
+
+  const rows = groups.slice(0, BREAKDOWN_MAX_ROWS).map(group =>
+    createBreakdownRow(group.label, group.articles.length, group)
+  );
+  const remaining = groups.slice(BREAKDOWN_MAX_ROWS).reduce((sum, group) => sum + group.articles.length, 0);
+  if (remaining > 0) {
+    rows.push(createBreakdownRow(`${groups.length - BREAKDOWN_MAX_ROWS} more`, remaining, null));
+  }
+  if (pending > 0) {
+    rows.push(createBreakdownRow('Loading…', pending, null));
+  }
+  breakdownPanel.replaceChildren(header, ...rows);
+}
+
+// Batch updates - tweets resolve in bursts
+function scheduleBreakdownUpdate() {
+  if (breakdownUpdateTimeout) return;
+  breakdownUpdateTimeout = setTimeout(() => {
+    breakdownUpdateTimeout = null;
+    updateBreakdownPanel();
+  }, BREAKDOWN_UPDATE_DELAY);
+}
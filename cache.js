@@ -0,0 +1,427 @@
+// Cache browser - every cached location with search, sort and a country
+// filter, per-entry delete and refresh, and JSON/CSV export and import.
+// Reads and writes the IndexedDB cache directly; refreshes go through the
+// background worker's queue like any other lookup.
+const PAGE_SIZE = 500; // Rows rendered at a time - the cache can hold 50,000
+const CSV_COLUMNS = ['screenName', 'location', 'outcome', 'source', 'fetchedAt'];
+const IMPORTABLE_SOURCES = ['api', 'harvest'];
+const IMPORTABLE_OUTCOMES = ['found', 'no-location', 'not-found', 'suspended'];
+const IMPORTABLE_CONNECTION_TYPES = ['app-store', 'android', 'web', 'other'];
+const MAX_IMPORTED_TEXT_LENGTH = 100;
+const EXPORT_VERSION = 1;
+
+const searchInput = document.getElementById('search');
+const countryFilter = document.getElementById('countryFilter');
+const entriesBody = document.getElementById('entries');
+const summary = document.getElementById('summary');
+const status = document.getElementById('status');
+const showMoreButton = document.getElementById('showMore');
+const importFile = document.getElementById('importFile');
+
+let rows = []; // { entry, country }
+let shownCount = PAGE_SIZE;
+let sortKey = 'fetchedAt';
+let sortDescending = true;
+
+// Country filter key for a row - the ISO code, region name, or none
+function getCountryKey(row) {
+  if (row.country) return row.country.code || row.country.name;
+  return row.entry.location ? 'other' : 'none';
+}
+
+function formatCountryLabel(country) {
+  return `${country.flag ? `${country.flag} ` : ''}${country.name}`;
+}
+
+function describeSource(entry) {
+  const source = entry.source === 'harvest' ? 'X page data' : 'Lookup';
+  if (entry.outcome === 'not-found') return `${source} (account not found)`;
+  if (entry.outcome === 'suspended') return `${source} (suspended)`;
+  return source;
+}
+
+function compareRows(a, b) {
+  let result;
+  switch (sortKey) {
+    case 'fetchedAt':
+      result = a.entry.fetchedAt - b.entry.fetchedAt;
+      break;
+    case 'country':
+      result = (a.country?.name || '').localeCompare(b.country?.name || '');
+      break;
+    case 'source':
+      result = describeSource(a.entry).localeCompare(describeSource(b.entry));
+      break;
+    default:
+      result = (a.entry[sortKey] || '').localeCompare(b.entry[sortKey] || '', undefined, { sensitivity: 'base' });
+  }
+  return sortDescending ? -result : result;
+}
+
+function getVisibleRows() {
+  const query = searchInput.value.trim().toLowerCase();
+  const country = countryFilter.value;
+  return rows
+    .filter(row => !country || getCountryKey(row) === country)
+    .filter(row => !query ||
+      row.entry.handle.includes(query) ||
+      (row.entry.location || '').toLowerCase().includes(query))
+    .sort(compareRows);
+}
+
+function createCell(content, className) {
+  const cell = document.createElement('td');
+  if (className) cell.className = className;
+  cell.append(content);
+  return cell;
+}
+
+function createActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createRowElement(row) {
+  const { entry, country } = row;
+  const tr = document.createElement('tr');
+  if (!isCacheEntryFresh(entry)) {
+    tr.className = 'expired';
+    tr.title = 'Expired - will be looked up again';
+  }
+
+  const link = document.createElement('a');
+  link.href = `https://x.com/${encodeURIComponent(entry.screenName)}`;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = `@${entry.screenName}`;
+
+  const actions = createCell('', 'actions');
+  actions.append(
+    createActionButton('Refresh', () => refreshEntry(row)),
+    ' ',
+    createActionButton('Delete', () => deleteEntry(row))
+  );
+
+  tr.append(
+    createCell(link),
+    createCell(entry.location || '—'),
+    createCell(country ? formatCountryLabel(country) : ''),
+    createCell(new Date(entry.fetchedAt).toLocaleString()),
+    createCell(describeSource(entry)),
+    actions
+  );
+  return tr;
+}
+
+function renderTable() {
+  const visible = getVisibleRows();
+  entriesBody.replaceChildren(...visible.slice(0, shownCount).map(createRowElement));
+  showMoreButton.hidden = visible.length <= shownCount;
+  summary.textContent = visible.length === rows.length
+    ? `${rows.length} cached accounts`
+    : `${visible.length} of ${rows.length} cached accounts`;
+}
+
+// One option per country in the cache, most common first
+function renderCountryFilter() {
+  const counts = new Map();
+  for (const row of rows) {
+    const key = getCountryKey(row);
+    const label = row.country ? formatCountryLabel(row.country) : key === 'other' ? 'Other locations' : 'No location';
+    const item = counts.get(key) || { label, count: 0 };
+    item.count++;
+    counts.set(key, item);
+  }
+
+  const selected = countryFilter.value;
+  const options = [...counts].sort((a, b) => b[1].count - a[1].count)
+    .map(([key, { label, count }]) => new Option(`${label} (${count})`, key));
+  countryFilter.replaceChildren(new Option('All countries', ''), ...options);
+  countryFilter.value = counts.has(selected) ? selected : '';
+}
+
+function toRow(entry) {
+  return { entry, country: entry.location ? lookupCountry(entry.location) : null };
+}
+
+async function loadEntries() {
+  try {
+    rows = (await getAllCacheEntries()).map(toRow);
+  } catch (error) {
+    console.error('Error reading cache:', error);
+    summary.textContent = `Could not read the cache: ${error.message}`;
+    return;
+  }
+  renderCountryFilter();
+  renderTable();
+}
+
+async function deleteEntry(row) {
+  try {
+    await deleteCacheEntry(row.entry.screenName);
+  } catch (error) {
+    console.error('Error deleting entry:', error);
+    status.textContent = `Could not delete @${row.entry.screenName}: ${error.message}`;
+    return;
+  }
+  rows = rows.filter(other => other !== row);
+  renderCountryFilter();
+  renderTable();
+}
+
+// Look the account up again through the background worker's queue
+async function refreshEntry(row) {
+  status.textContent = `Looking up @${row.entry.screenName}…`;
+  try {
+    const record = await chrome.runtime.sendMessage({ type: 'refreshLocation', screenName: row.entry.screenName });
+    if (!record?.fetchedAt) {
+      // The background keeps the cached entry when a lookup fails
+      status.textContent = `Lookup for @${row.entry.screenName} failed, the cached entry was kept. Lookups need an open x.com tab.`;
+      return;
+    }
+    const entry = await getCacheEntry(row.entry.screenName);
+    if (entry) {
+      rows = rows.filter(other => other !== row);
+      rows.push(toRow(entry));
+    }
+    status.textContent = `@${row.entry.screenName} updated.`;
+  } catch (error) {
+    console.error('Error refreshing entry:', error);
+    status.textContent = `Lookup for @${row.entry.screenName} failed: ${error.message}`;
+  }
+  renderCountryFilter();
+  renderTable();
+}
+
+function download(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function getExportFilename(extension) {
+  return `twitter-location-cache-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function exportJson() {
+  const entries = rows.map(({ entry }) => ({
+    screenName: entry.screenName,
+    location: entry.location,
+    outcome: entry.outcome,
+    source: entry.source,
+    fetchedAt: entry.fetchedAt,
+    profile: entry.profile || null
+  }));
+  download(getExportFilename('json'), 'application/json',
+    JSON.stringify({ version: EXPORT_VERSION, exportedAt: Date.now(), entries }, null, 2));
+}
+
+// Quote a CSV cell when needed. Cells that a spreadsheet would run as a
+// formula get a leading apostrophe.
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCsv() {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const { entry } of rows) {
+    lines.push([
+      entry.screenName,
+      entry.location,
+      entry.outcome,
+      entry.source,
+      new Date(entry.fetchedAt).toISOString()
+    ].map(toCsvCell).join(','));
+  }
+  download(getExportFilename('csv'), 'text/csv', lines.join('\r\n'));
+}
+
+// Rows of cells, handling quoted cells with commas, quotes and newlines
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records.filter(cells => cells.some(Boolean));
+}
+
+function parseCsvEntries(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map(name => name.trim());
+  return records.map(cells => Object.fromEntries(
+    columns.map((name, index) => [name, (cells[index] || '').replace(/^'(?=[=+\-@])/, '')])
+  ));
+}
+
+function toImportedNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function toImportedText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_IMPORTED_TEXT_LENGTH) : null;
+}
+
+// The profile fields the hover card and badges show, rebuilt from an imported
+// file - anything else in it is dropped
+function toImportedProfile(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const connection = raw.connection && typeof raw.connection === 'object' &&
+    IMPORTABLE_CONNECTION_TYPES.includes(raw.connection.type) && toImportedText(raw.connection.label)
+    ? {
+      type: raw.connection.type,
+      region: toImportedText(raw.connection.region),
+      label: toImportedText(raw.connection.label)
+    }
+    : null;
+  return {
+    usernameChanges: toImportedNumber(raw.usernameChanges),
+    lastUsernameChangeAt: toImportedNumber(raw.lastUsernameChangeAt),
+    createdCountry: toImportedText(raw.createdCountry),
+    createdAt: toImportedNumber(raw.createdAt),
+    locationAccurate: typeof raw.locationAccurate === 'boolean' ? raw.locationAccurate : null,
+    connection
+  };
+}
+
+// A cache entry from an imported object, or null if it isn't one we can use.
+// Imported entries only go into the cache - the location history doesn't see
+// them, so they never count as a location change.
+function toImportedEntry(raw) {
+  if (!raw || typeof raw.screenName !== 'string') return null;
+  const screenName = raw.screenName.trim().replace(/^@/, '');
+  if (!/^[A-Za-z0-9_]{1,15}$/.test(screenName)) return null;
+
+  const fetchedAt = typeof raw.fetchedAt === 'number' ? raw.fetchedAt : Date.parse(raw.fetchedAt);
+  if (!Number.isFinite(fetchedAt) || fetchedAt > Date.now()) return null;
+
+  const location = typeof raw.location === 'string' && raw.location.trim() ? raw.location.trim() : null;
+  const source = IMPORTABLE_SOURCES.includes(raw.source) ? raw.source : 'api';
+  let outcome = IMPORTABLE_OUTCOMES.includes(raw.outcome) ? raw.outcome : null;
+  if (location && outcome !== 'found') outcome = 'found';
+  if (!location && outcome === 'found') outcome = 'no-location';
+  const profile = toImportedProfile(raw.profile);
+
+  return createCacheEntry(screenName, location, source, fetchedAt, profile, outcome);
+}
+
+async function importFromFile(file) {
+  status.textContent = `Importing ${file.name}…`;
+  try {
+    const text = await file.text();
+    const trimmed = text.trimStart();
+    let raw;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      const data = JSON.parse(text);
+      raw = Array.isArray(data) ? data : data.entries;
+      if (!Array.isArray(raw)) throw new Error('no entries in file');
+    } else {
+      raw = parseCsvEntries(text);
+    }
+
+    // Entries that have already expired would only be looked up again
+    const entries = raw.map(toImportedEntry).filter(entry => entry && isCacheEntryFresh(entry));
+    const counts = await mergeCacheEntries(entries);
+    const ignored = raw.length - entries.length;
+    status.textContent = `Imported ${file.name}: ${counts.added} added, ${counts.updated} updated, ` +
+      `${counts.skipped} already up to date${ignored > 0 ? `, ${ignored} invalid or expired` : ''}.`;
+    await loadEntries();
+  } catch (error) {
+    console.error('Error importing cache:', error);
+    status.textContent = `Could not import ${file.name}: ${error.message}`;
+  }
+}
+
+searchInput.addEventListener('input', () => {
+  shownCount = PAGE_SIZE;
+  renderTable();
+});
+
+countryFilter.addEventListener('change', () => {
+  shownCount = PAGE_SIZE;
+  renderTable();
+});
+
+document.querySelectorAll('[data-sort]').forEach(button => {
+  button.addEventListener('click', () => {
+    // Clicking the current column again reverses it
+    if (sortKey === button.dataset.sort) {
+      sortDescending = !sortDescending;
+    } else {
+      sortKey = button.dataset.sort;
+      sortDescending = sortKey === 'fetchedAt';
+    }
+    renderTable();
+  });
+});
+
+showMoreButton.addEventListener('click', () => {
+  shownCount += PAGE_SIZE;
+  renderTable();
+});
+
+document.getElementById('exportJson').addEventListener('click', exportJson);
+document.getElementById('exportCsv').addEventListener('click', exportCsv);
+document.getElementById('importButton').addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', () => {
+  if (importFile.files[0]) {
+    importFromFile(importFile.files[0]);
+  }
+  importFile.value = '';
+});
+
+document.getElementById('clearAll').addEventListener('click', async () => {
+  if (!confirm(`Delete all ${rows.length} cached locations? Manual locations and notes are kept.`)) return;
+  try {
+    await clearCacheEntries();
+    status.textContent = 'Cache cleared.';
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    status.textContent = `Could not clear the cache: ${error.message}`;
+  }
+  await loadEntries();
+});
+
+// Expiry uses the TTLs from the settings
+loadSettings()
+  .then(settings => setCacheTtls(settings.location_ttl_days, settings.no_location_ttl_days))
+  .catch(error => console.error('Error loading settings:', error))
+  .finally(loadEntries);
@@ -0,0 +1,254 @@
+// IndexedDB-backed location cache - one record per handle, so saving a lookup
+// writes just that record instead of re-serialising the whole cache
+const CACHE_DB_NAME = 'twitter_location_cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'locations';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOT_FOUND_TTL = 1 * DAY_MS; // The handle may be registered soon
+const SUSPENDED_TTL = 7 * DAY_MS; // Suspensions are sometimes lifted
+
+// Set from the location_ttl_days and no_location_ttl_days settings
+let locationTtl = 30 * DAY_MS; // Accounts with a location are cached for 30 days
+let noLocationTtl = 3 * DAY_MS; // "No location" results are re-checked sooner
+
+// LRU eviction keeps the store well under the storage quota
+const MAX_CACHE_ENTRIES = 50000;
+const EVICTION_BATCH = 1000; // Evict a little extra so we don't evict on every write
+const EVICTION_CHECK_INTERVAL = 200; // Check entry count every 200 writes
+const ACCESS_WRITE_INTERVAL = 60 * 60 * 1000; // Persist lastAccessed at most hourly per entry
+
+// Legacy chrome.storage.local cache, migrated into IndexedDB once
+const LEGACY_CACHE_KEY = 'twitter_location_cache';
+
+let cacheDbPromise = null;
+let writesSinceEvictionCheck = 0;
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve when a transaction has committed
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Open (and create or upgrade) the cache database
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          const store = db.createObjectStore(CACHE_STORE, { keyPath: 'handle' });
+          store.createIndex('lastAccessed', 'lastAccessed');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        cacheDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return cacheDbPromise;
+}
+
+// Handles are case-insensitive on Twitter/X
+function normalizeHandle(screenName) {
+  return screenName.toLowerCase();
+}
+
+function isCacheEntryFresh(entry, now = Date.now()) {
+  return entry.fetchedAt + entry.ttl > now;
+}
+
+// Entries keep the TTL they were saved with, so changes apply to new lookups
+function setCacheTtls(locationDays, noLocationDays) {
+  locationTtl = locationDays * DAY_MS;
+  noLocationTtl = noLocationDays * DAY_MS;
+}
+
+// Time to live for an entry
+function getEntryTtl(location, outcome) {
+  if (outcome === 'not-found') return NOT_FOUND_TTL;
+  if (outcome === 'suspended') return SUSPENDED_TTL;
+  return location ? locationTtl : noLocationTtl;
+}
+
+// source is 'api' for our own lookups, 'harvest' for locations read from
+// responses Twitter loaded anyway. Locations set by hand are overrides, kept
+// out of the cache (see overrideStore.js).
+// profile holds the other about_profile fields (username changes, creation
+// date, connection) when we have them. outcome is the lookup outcome -
+// 'found', 'no-location', 'not-found' or 'suspended'.
+function createCacheEntry(screenName, location, source = 'api', fetchedAt = Date.now(), profile = null, outcome = null) {
+  return {
+    handle: normalizeHandle(screenName),
+    screenName,
+    location: location || null,
+    profile,
+    source,
+    outcome: outcome || (location ? 'found' : 'no-location'),
+    fetchedAt,
+    ttl: getEntryTtl(location, outcome),
+    lastAccessed: Date.now()
+  };
+}
+
+// Get a fresh cache entry, or null if missing or expired
+async function getCacheEntry(screenName) {
+  const db = await openCacheDb();
+  const handle = normalizeHandle(screenName);
+  const entry = await requestToPromise(
+    db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(handle)
+  );
+  if (!entry) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (!isCacheEntryFresh(entry, now)) {
+    deleteCacheEntry(screenName).catch(() => {});
+    return null;
+  }
+
+  // Record the access for LRU eviction, but don't turn every read into a write
+  if (now - entry.lastAccessed > ACCESS_WRITE_INTERVAL) {
+    entry.lastAccessed = now;
+    writeCacheEntry(entry).catch(() => {});
+  }
+  return entry;
+}
+
+async function writeCacheEntry(entry) {
+  const db = await openCacheDb();
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  transaction.objectStore(CACHE_STORE).put(entry);
+  await transactionDone(transaction);
+}
+
+// Save a lookup result, evicting old entries if the store grew too large
+async function putCacheEntry(screenName, location, source, profile, outcome) {
+  const entry = createCacheEntry(screenName, location, source, Date.now(), profile, outcome);
+  try {
+    await writeCacheEntry(entry);
+  } catch (error) {
+    if (error?.name !== 'QuotaExceededError') {
+      throw error;
+    }
+    // Out of space - make room and try once more
+    console.log('Cache storage quota exceeded, evicting old entries');
+    await evictCacheEntries(MAX_CACHE_ENTRIES / 2);
+    await writeCacheEntry(entry);
+  }
+
+  writesSinceEvictionCheck++;
+  if (writesSinceEvictionCheck >= EVICTION_CHECK_INTERVAL) {
+    writesSinceEvictionCheck = 0;
+    evictCacheEntries().catch(error => console.error('Error evicting cache entries:', error));
+  }
+  return entry;
+}
+
+async function deleteCacheEntry(screenName) {
+  const db = await openCacheDb();
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  transaction.objectStore(CACHE_STORE).delete(normalizeHandle(screenName));
+  await transactionDone(transaction);
+}
+
+// Every entry, fresh or not - for the cache browser
+async function getAllCacheEntries() {
+  const db = await openCacheDb();
+  return requestToPromise(db.transaction(CACHE_STORE).objectStore(CACHE_STORE).getAll());
+}
+
+async function clearCacheEntries() {
+  const db = await openCacheDb();
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  transaction.objectStore(CACHE_STORE).clear();
+  await transactionDone(transaction);
+}
+
+// Merge entries from an import - an entry only replaces one we already have
+// if it was fetched more recently
+async function mergeCacheEntries(entries) {
+  const db = await openCacheDb();
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  const store = transaction.objectStore(CACHE_STORE);
+  const counts = { added: 0, updated: 0, skipped: 0 };
+  for (const entry of entries) {
+    store.get(entry.handle).onsuccess = (event) => {
+      const existing = event.target.result;
+      if (existing && existing.fetchedAt >= entry.fetchedAt) {
+        counts.skipped++;
+        return;
+      }
+      store.put(entry);
+      counts[existing ? 'updated' : 'added']++;
+    };
+  }
+  await transactionDone(transaction);
+  return counts;
+}
+
+// Delete least recently used entries until we're under maxEntries
+async function evictCacheEntries(maxEntries = MAX_CACHE_ENTRIES) {
+  const db = await openCacheDb();
+  const count = await requestToPromise(
+    db.transaction(CACHE_STORE).objectStore(CACHE_STORE).count()
+  );
+  if (count <= maxEntries) {
+    return 0;
+  }
+
+  let toDelete = count - maxEntries + EVICTION_BATCH;
+  let deleted = 0;
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  const cursorRequest = transaction.objectStore(CACHE_STORE).index('lastAccessed').openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (cursor && toDelete > 0) {
+      cursor.delete();
+      toDelete--;
+      deleted++;
+      cursor.continue();
+    }
+  };
+  await transactionDone(transaction);
+  console.log(`Evicted ${deleted} least recently used cache entries`);
+  return deleted;
+}
+
+// Move entries from the old chrome.storage.local cache object into IndexedDB
+async function migrateLegacyCache() {
+  const result = await chrome.storage.local.get(LEGACY_CACHE_KEY);
+  const cached = result[LEGACY_CACHE_KEY];
+  if (!cached) {
+    return;
+  }
+
+  const db = await openCacheDb();
+  const transaction = db.transaction(CACHE_STORE, 'readwrite');
+  const store = transaction.objectStore(CACHE_STORE);
+  let migrated = 0;
+  for (const [username, data] of Object.entries(cached)) {
+    if (data && data.location) {
+      store.put(createCacheEntry(username, data.location, 'api', data.cachedAt || Date.now()));
+      migrated++;
+    }
+  }
+  await transactionDone(transaction);
+  await chrome.storage.local.remove(LEGACY_CACHE_KEY);
+  console.log(`Migrated ${migrated} cached locations to IndexedDB`);
+}
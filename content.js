@@ -1,290 +1,430 @@
-// Cache for user locations - persistent storage
-let locationCache = new Map();
-const CACHE_KEY = 'twitter_location_cache';
-const CACHE_EXPIRY_DAYS = 30; // Cache for 30 days
-
-// Rate limiting
-const requestQueue = [];
-let isProcessingQueue = false;
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 2000; // 2 seconds between requests (increased to avoid rate limits)
-const MAX_CONCURRENT_REQUESTS = 2; // Reduced concurrent requests
-let activeRequests = 0;
-let rateLimitResetTime = 0; // Unix timestamp when rate limit resets
-
-// Observer for dynamically loaded content
-let observer = null;
+// Whether we are listening to the page script, which makes the API requests
+let pageScriptConnected = false;
+
+// Last URL we processed, to spot SPA navigation reported by the page script
+let lastUrl = location.href;
 
 // Extension enabled state
-let extensionEnabled = true;
-const TOGGLE_KEY = 'extension_enabled';
-const DEFAULT_ENABLED = true;
+let extensionEnabled = SETTINGS_SCHEMA.extension_enabled.default;
+
+// Badge display settings - 'flag', 'code', 'name' or 'flag-name', placed
+// 'before-handle', 'after-name' or 'after-timestamp'
+let badgeDisplay = SETTINGS_SCHEMA.badge_display.default;
+let badgePosition = SETTINGS_SCHEMA.badge_position.default;
+
+// Flag rendering - emoji, bundled SVG images, or 'auto' to use images only
+// when the browser can't draw flag emoji (e.g. Windows shows "US" instead)
+let flagStyle = SETTINGS_SCHEMA.flag_style.default;
+let flagEmojiSupported = null;
+
+// Optional indicator icons next to the flag for the other about_profile fields
+let showProfileIndicators = SETTINGS_SCHEMA.profile_indicators.default;
+
+// How long to wait for the page script to answer a lookup
+let lookupTimeout = SETTINGS_SCHEMA.lookup_timeout_ms.default;
 
 // Track usernames currently being processed to avoid duplicate requests
 const processingUsernames = new Set();
 
-// Load enabled state
-async function loadEnabledState() {
-  try {
-    const result = await chrome.storage.local.get([TOGGLE_KEY]);
-    extensionEnabled = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
-    console.log('Extension enabled:', extensionEnabled);
-  } catch (error) {
-    console.error('Error loading enabled state:', error);
-    extensionEnabled = DEFAULT_ENABLED;
+// Every account shown in a tweet gets its own badge slot - the element its
+// flagAdded state lives on, keyed to the identity it shows
+const identitySlots = new WeakMap();
+const badgeSlots = new WeakMap(); // Badge -> slot, for badges placed outside their slot
+
+// Lookup priorities sent to the background queue - visible usernames go first
+const PRIORITY_VISIBLE = 0; // On screen
+const PRIORITY_NEAR = 1; // Within a screen of the viewport
+const PRIORITY_FAR = 2; // Scrolled far away
+const NEAR_VIEWPORT_MARGIN = '100% 0px'; // One viewport height above and below
+const PENDING_SWEEP_INTERVAL = 3000; // Check for containers that left the DOM every 3 seconds
+
+// Containers waiting on a lookup, by username, and their viewport state
+const pendingContainers = new Map();
+const pendingScreenNames = new WeakMap();
+const containerPriorities = new WeakMap();
+const sentPriorities = new Map();
+let visibleObserver = null;
+let nearObserver = null;
+let pendingSweepTimeout = null;
+
+// Apply settings, on startup or when they change in the popup or options page
+// (possibly in another window). Only the settings that changed are passed.
+function applySettings(settings) {
+  let redraw = false;
+  for (const [key, value] of Object.entries(settings)) {
+    switch (key) {
+      case 'badge_display':
+        badgeDisplay = value;
+        redraw = true;
+        break;
+      case 'badge_position':
+        badgePosition = value;
+        redraw = true;
+        break;
+      case 'flag_style':
+        flagStyle = value;
+        redraw = true;
+        break;
+      case 'profile_indicators':
+        showProfileIndicators = value;
+        redraw = true;
+        break;
+      case 'surface_settings':
+        surfaceSettings = value;
+        redraw = true;
+        break;
+      case 'breakdown_panel':
+        setBreakdownPanelEnabled(value);
+        break;
+      case 'filter_rules':
+        setFilterRules(value);
+        break;
+      case 'lookup_timeout_ms':
+        lookupTimeout = value;
+        break;
+      case 'benchmark_mode':
+        setBenchmarkMode(value);
+        break;
+    }
   }
+  return redraw;
 }
 
-// Listen for toggle changes from popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'extensionToggle') {
-    extensionEnabled = request.enabled;
+// Pick up setting changes live, without reloading the page
+function handleSettingsChanged(changes) {
+  const redraw = applySettings(changes);
+
+  if (changes.extension_enabled !== undefined && changes.extension_enabled !== extensionEnabled) {
+    extensionEnabled = changes.extension_enabled;
     console.log('Extension toggled:', extensionEnabled);
     
     if (extensionEnabled) {
       // Re-initialize if enabled
-      setTimeout(() => {
-        processUsernames();
-      }, 500);
+      if (!pageScriptConnected) {
+        start();
+      } else {
+        scheduleFullPass();
+      }
     } else {
-      // Remove all flags if disabled
+      // Remove all flags and put filtered tweets back if disabled
+      cancelScheduledPasses();
       removeAllFlags();
+      clearAllFilters();
+      hideBreakdownPanel();
     }
+    return;
   }
-});
 
-// Load cache from persistent storage
-async function loadCache() {
-  try {
-    // Check if extension context is still valid
-    if (!chrome.runtime?.id) {
-      console.log('Extension context invalidated, skipping cache load');
+  // Badge display or surfaces changed - redraw every badge
+  if (redraw && extensionEnabled) {
+    removeAllFlags();
+    scheduleFullPass();
+  }
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Background asks this tab to make an API request for the shared queue
+  if (request.type === 'fetchLocation') {
+    if (!extensionEnabled || !pageScriptConnected) {
+      sendResponse(null);
       return;
     }
-    
-    const result = await chrome.storage.local.get(CACHE_KEY);
-    if (result[CACHE_KEY]) {
-      const cached = result[CACHE_KEY];
-      const now = Date.now();
-      
-      // Filter out expired entries and null entries (allow retry)
-      for (const [username, data] of Object.entries(cached)) {
-        if (data.expiry && data.expiry > now && data.location !== null) {
-          locationCache.set(username, data.location);
-        }
-      }
-      console.log(`Loaded ${locationCache.size} cached locations (excluding null entries)`);
-    }
-  } catch (error) {
-    // Extension context invalidated errors are expected when extension is reloaded
-    if (error.message?.includes('Extension context invalidated') || 
-        error.message?.includes('message port closed')) {
-      console.log('Extension context invalidated, cache load skipped');
-    } else {
-      console.error('Error loading cache:', error);
+    makeLocationRequest(request.screenName).then(sendResponse);
+    return true; // Keep the channel open for the async response
+  }
+
+  // A location was refreshed or overridden - redraw its badges
+  if (request.type === 'locationChanged' && extensionEnabled) {
+    refreshBadges(request.screenName);
+  }
+
+  // A lookup finished (possibly in another tab) - fill in containers waiting on it
+  if (request.type === 'locationResolved' && extensionEnabled) {
+    resumeWaitingContainers(request.screenName);
+  }
+});
+
+// Private channel to the page script - the MessagePort and per-session nonce
+// set up by pageChannel.js at document_start, so other scripts on the page
+// can't spoof or use our messages
+let channelPort = null;
+let nextRequestId = 1;
+const pendingPageRequests = new Map();
+
+// Only envelopes from the page script with our nonce and a known shape are accepted
+function isValidEnvelope(message) {
+  return !!message &&
+    typeof message === 'object' &&
+    message.protocol === CHANNEL_PROTOCOL &&
+    message.nonce === channelNonce &&
+    (message.kind === 'response' || message.kind === 'event') &&
+    typeof message.name === 'string' &&
+    message.payload !== null &&
+    typeof message.payload === 'object';
+}
+
+// Handle an envelope from the page script
+function handlePageMessage(message) {
+  if (!isValidEnvelope(message)) {
+    console.log('Rejected unauthenticated message from page');
+    return;
+  }
+  
+  if (message.kind === 'response') {
+    const pending = pendingPageRequests.get(message.id);
+    if (pending && pending.name === message.name) {
+      pendingPageRequests.delete(message.id);
+      clearTimeout(pending.timeout);
+      pending.resolve(message.payload);
     }
+    return;
+  }
+  
+  // Forward rate limit info, query discovery status and harvested locations
+  // from page script to the background
+  const payload = message.payload;
+  if (message.name === 'rateLimitInfo') {
+    chrome.runtime.sendMessage({
+      type: 'rateLimitInfo',
+      resetTime: payload.resetTime,
+      waitTime: payload.waitTime
+    }).catch(() => {});
+  }
+  if (message.name === 'rateLimitStatus') {
+    chrome.runtime.sendMessage({
+      type: 'rateLimitStatus',
+      limit: payload.limit,
+      remaining: payload.remaining,
+      resetTime: payload.resetTime
+    }).catch(() => {});
+  }
+  if (message.name === 'navigation') {
+    handleNavigation();
+  }
+  if (message.name === 'queryDiscovery') {
+    chrome.runtime.sendMessage({
+      type: 'queryDiscovery',
+      status: payload.status,
+      queryId: payload.queryId,
+      source: payload.source,
+      detail: payload.detail
+    }).catch(() => {});
+  }
+  if (message.name === 'harvestedLocations' && Array.isArray(payload.locations)) {
+    chrome.runtime.sendMessage({
+      type: 'harvestLocations',
+      locations: payload.locations
+    }).catch(() => {});
   }
 }
 
-// Save cache to persistent storage
-async function saveCache() {
-  try {
-    // Check if extension context is still valid
-    if (!chrome.runtime?.id) {
-      console.log('Extension context invalidated, skipping cache save');
+function postPageRequest(name, id, payload) {
+  channelPort.postMessage({ protocol: CHANNEL_PROTOCOL, nonce: channelNonce, kind: 'request', name, id, payload });
+}
+
+// Send a request envelope to the page script. Resolves with the response
+// payload, or null if none arrives within timeoutMs - the page script is then
+// told to cancel, so a fetch it hasn't started yet never runs.
+function requestFromPage(name, payload, timeoutMs) {
+  return new Promise((resolve) => {
+    if (!channelPort) {
+      resolve(null);
       return;
     }
     
-    const cacheObj = {};
-    const now = Date.now();
-    const expiry = now + (CACHE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
-    
-    for (const [username, location] of locationCache.entries()) {
-      cacheObj[username] = {
-        location: location,
-        expiry: expiry,
-        cachedAt: now
-      };
-    }
-    
-    await chrome.storage.local.set({ [CACHE_KEY]: cacheObj });
+    const id = nextRequestId++;
+    const timeout = setTimeout(() => {
+      pendingPageRequests.delete(id);
+      postPageRequest('cancelRequest', nextRequestId++, { requestId: id });
+      resolve(null);
+    }, timeoutMs);
+    pendingPageRequests.set(id, { name, resolve, timeout });
+    postPageRequest(name, id, payload);
+  });
+}
+
+// Start listening to the page script, which makes API calls with the page's
+// cookies. Events it raised before now were queued on the port.
+function connectPageScript() {
+  channelPort = pageChannel.port1;
+  channelPort.onmessage = (event) => handlePageMessage(event.data);
+  pageScriptConnected = true;
+}
+
+// Make actual API request through the page script (called by the background queue).
+// The page script aborts its fetch after lookupTimeout - we wait a little
+// longer in case it never answers at all, then cancel it.
+const PAGE_RESPONSE_GRACE = 2000;
+
+async function makeLocationRequest(screenName) {
+  const response = await requestFromPage(
+    'fetchLocation',
+    { screenName, timeout: lookupTimeout },
+    lookupTimeout + PAGE_RESPONSE_GRACE
+  );
+  if (!response) {
+    return { outcome: 'timeout', location: null };
+  }
+  return {
+    outcome: response.outcome || 'transient-error',
+    location: response.location || null,
+    profile: response.profile || null,
+    rateLimit: response.rateLimit || null,
+    detail: response.detail || null
+  };
+}
+
+// Function to query user location from the shared background cache and queue.
+// Resolves to { location, cancelled, fetchedAt, source, fromCache } - cancelled
+// if the page no longer needed it.
+async function getUserLocation(screenName) {
+  try {
+    const priority = getLookupPriority(screenName);
+    sentPriorities.set(screenName, priority);
+    const response = await chrome.runtime.sendMessage({ type: 'getLocation', screenName, priority });
+    return { ...response, location: response?.location || null, cancelled: !!response?.cancelled };
   } catch (error) {
     // Extension context invalidated errors are expected when extension is reloaded
     if (error.message?.includes('Extension context invalidated') || 
         error.message?.includes('message port closed')) {
-      console.log('Extension context invalidated, cache save skipped');
+      console.log(`Extension context invalidated, lookup for ${screenName} skipped`);
     } else {
-      console.error('Error saving cache:', error);
+      console.error(`Error getting location for ${screenName}:`, error);
     }
+    return { location: null, cancelled: false };
   }
 }
 
-// Save a single entry to cache
-async function saveCacheEntry(username, location) {
-  // Check if extension context is still valid
-  if (!chrome.runtime?.id) {
-    console.log('Extension context invalidated, skipping cache entry save');
-    return;
+// Priority of a container from where it sits relative to the viewport
+function measurePriority(container) {
+  const rect = container.getBoundingClientRect();
+  const viewportHeight = window.innerHeight;
+  if (rect.bottom >= 0 && rect.top <= viewportHeight) {
+    return PRIORITY_VISIBLE;
   }
-  
-  locationCache.set(username, location);
-  // Debounce saves - only save every 5 seconds
-  if (!saveCache.timeout) {
-    saveCache.timeout = setTimeout(async () => {
-      await saveCache();
-      saveCache.timeout = null;
-    }, 5000);
+  if (rect.bottom >= -viewportHeight && rect.top <= 2 * viewportHeight) {
+    return PRIORITY_NEAR;
   }
+  return PRIORITY_FAR;
 }
 
-// Inject script into page context to access fetch with proper cookies
-function injectPageScript() {
-  const script = document.createElement('script');
-  script.src = chrome.runtime.getURL('pageScript.js');
-  script.onload = function() {
-    this.remove();
-  };
-  (document.head || document.documentElement).appendChild(script);
-  
-  // Listen for rate limit info from page script
-  window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
-    if (event.data && event.data.type === '__rateLimitInfo') {
-      rateLimitResetTime = event.data.resetTime;
-      const waitTime = event.data.waitTime;
-      console.log(`Rate limit detected. Will resume requests in ${Math.ceil(waitTime / 1000 / 60)} minutes`);
+// Most urgent priority among the connected containers waiting on a username
+function getLookupPriority(screenName) {
+  let priority = PRIORITY_FAR;
+  for (const container of pendingContainers.get(screenName) || []) {
+    if (container.isConnected) {
+      if (!containerPriorities.has(container)) {
+        containerPriorities.set(container, measurePriority(container));
+      }
+      priority = Math.min(priority, containerPriorities.get(container));
     }
-  });
+  }
+  return priority;
 }
 
-// Process request queue with rate limiting
-async function processRequestQueue() {
-  if (isProcessingQueue || requestQueue.length === 0) {
-    return;
+// Tell the background queue when a username became more or less urgent
+function reportLookupPriority(screenName) {
+  if (!sentPriorities.has(screenName)) return; // Not queued yet
+  const priority = getLookupPriority(screenName);
+  if (priority !== sentPriorities.get(screenName)) {
+    sentPriorities.set(screenName, priority);
+    chrome.runtime.sendMessage({ type: 'updatePriority', screenName, priority }).catch(() => {});
   }
-  
-  // Check if we're rate limited
-  if (rateLimitResetTime > 0) {
-    const now = Math.floor(Date.now() / 1000);
-    if (now < rateLimitResetTime) {
-      const waitTime = (rateLimitResetTime - now) * 1000;
-      console.log(`Rate limited. Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes...`);
-      setTimeout(processRequestQueue, Math.min(waitTime, 60000)); // Check every minute max
-      return;
+}
+
+// Update container priorities as they scroll in and out of view
+function handleIntersections(entries, isNearObserver) {
+  const changedUsernames = new Set();
+  for (const entry of entries) {
+    const container = entry.target;
+    const screenName = pendingScreenNames.get(container);
+    if (!screenName) continue;
+    
+    const current = containerPriorities.get(container) ?? measurePriority(container);
+    let priority = current;
+    if (isNearObserver) {
+      // Only moves between near and far - visibility comes from the other observer
+      if (current !== PRIORITY_VISIBLE) {
+        priority = entry.isIntersecting ? PRIORITY_NEAR : PRIORITY_FAR;
+      }
     } else {
-      // Rate limit expired, reset
-      rateLimitResetTime = 0;
+      priority = entry.isIntersecting ? PRIORITY_VISIBLE : PRIORITY_NEAR;
     }
-  }
-  
-  isProcessingQueue = true;
-  
-  while (requestQueue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
     
-    // Wait if needed to respect rate limit
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-      await new Promise(resolve => setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest));
+    if (priority !== current) {
+      containerPriorities.set(container, priority);
+      changedUsernames.add(screenName);
     }
-    
-    const { screenName, resolve, reject } = requestQueue.shift();
-    activeRequests++;
-    lastRequestTime = Date.now();
-    
-    // Make the request
-    makeLocationRequest(screenName)
-      .then(location => {
-        resolve(location);
-      })
-      .catch(error => {
-        reject(error);
-      })
-      .finally(() => {
-        activeRequests--;
-        // Continue processing queue
-        setTimeout(processRequestQueue, 200);
-      });
-  }
-  
-  isProcessingQueue = false;
-}
-
-// Make actual API request
-function makeLocationRequest(screenName) {
-  return new Promise((resolve, reject) => {
-    const requestId = Date.now() + Math.random();
-    
-    // Listen for response via postMessage
-    const handler = (event) => {
-      // Only accept messages from the page (not from extension)
-      if (event.source !== window) return;
-      
-      if (event.data && 
-          event.data.type === '__locationResponse' &&
-          event.data.screenName === screenName && 
-          event.data.requestId === requestId) {
-        window.removeEventListener('message', handler);
-        const location = event.data.location;
-        const isRateLimited = event.data.isRateLimited || false;
-        
-        // Only cache if not rate limited (don't cache failures due to rate limiting)
-        if (!isRateLimited) {
-          saveCacheEntry(screenName, location || null);
-        } else {
-          console.log(`Not caching null for ${screenName} due to rate limit`);
-        }
-        
-        resolve(location || null);
-      }
-    };
-    window.addEventListener('message', handler);
-    
-    // Send fetch request to page script via postMessage
-    window.postMessage({
-      type: '__fetchLocation',
-      screenName,
-      requestId
-    }, '*');
-    
-    // Timeout after 10 seconds
-    setTimeout(() => {
-      window.removeEventListener('message', handler);
-      // Don't cache timeout failures - allow retry
-      console.log(`Request timeout for ${screenName}, not caching`);
-      resolve(null);
-    }, 10000);
+  }
+  changedUsernames.forEach(reportLookupPriority);
+}
+
+function initViewportObservers() {
+  if (visibleObserver) return;
+  visibleObserver = new IntersectionObserver(entries => handleIntersections(entries, false));
+  nearObserver = new IntersectionObserver(entries => handleIntersections(entries, true), {
+    rootMargin: NEAR_VIEWPORT_MARGIN
   });
 }
 
-// Function to query Twitter GraphQL API for user location (with rate limiting)
-async function getUserLocation(screenName) {
-  // Check cache first
-  if (locationCache.has(screenName)) {
-    const cached = locationCache.get(screenName);
-    // Don't return cached null - retry if it was null before (might have been rate limited)
-    if (cached !== null) {
-      console.log(`Using cached location for ${screenName}: ${cached}`);
-      return cached;
+// Track a container waiting on a lookup so its viewport position steers the queue
+function trackPendingContainer(container, screenName) {
+  initViewportObservers();
+  if (!pendingContainers.has(screenName)) {
+    pendingContainers.set(screenName, new Set());
+  }
+  pendingContainers.get(screenName).add(container);
+  pendingScreenNames.set(container, screenName);
+  visibleObserver.observe(container);
+  nearObserver.observe(container);
+  schedulePendingSweep();
+}
+
+// Stop tracking every container waiting on a username (its lookup finished)
+function untrackPendingContainers(screenName) {
+  for (const container of pendingContainers.get(screenName) || []) {
+    pendingScreenNames.delete(container);
+    visibleObserver?.unobserve(container);
+    nearObserver?.unobserve(container);
+  }
+  pendingContainers.delete(screenName);
+  sentPriorities.delete(screenName);
+}
+
+// Drop queued lookups whose containers have all left the DOM
+function sweepPendingContainers() {
+  pendingSweepTimeout = null;
+  for (const [screenName, containers] of pendingContainers) {
+    for (const container of containers) {
+      if (!container.isConnected) {
+        containers.delete(container);
+        visibleObserver?.unobserve(container);
+        nearObserver?.unobserve(container);
+      }
+    }
+    if (containers.size === 0) {
+      const wasQueued = sentPriorities.has(screenName);
+      untrackPendingContainers(screenName);
+      if (wasQueued) {
+        chrome.runtime.sendMessage({ type: 'cancelLookup', screenName }).catch(() => {});
+      }
     } else {
-      console.log(`Found null in cache for ${screenName}, will retry API call`);
-      // Remove from cache to allow retry
-      locationCache.delete(screenName);
+      reportLookupPriority(screenName);
     }
   }
-  
-  console.log(`Queueing API request for ${screenName}`);
-  // Queue the request
-  return new Promise((resolve, reject) => {
-    requestQueue.push({ screenName, resolve, reject });
-    processRequestQueue();
-  });
+  schedulePendingSweep();
+}
+
+function schedulePendingSweep() {
+  if (!pendingSweepTimeout && pendingContainers.size > 0) {
+    pendingSweepTimeout = setTimeout(sweepPendingContainers, PENDING_SWEEP_INTERVAL);
+  }
 }
 
 // Function to extract username from various Twitter UI elements
 function extractUsername(element) {
-  // Try data-testid="UserName" or "User-Name" first (most reliable)
-  const usernameElement = element.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+  // Try the name block (data-testid="UserName" or "User-Name") first (most reliable)
+  const usernameElement = queryLayout(element, 'nameBlock');
   if (usernameElement) {
     const links = usernameElement.querySelectorAll('a[href^="/"]');
     for (const link of links) {
@@ -293,10 +433,7 @@ function extractUsername(element) {
       if (match && match[1]) {
         const username = match[1];
         // Filter out common routes
-        const excludedRoutes = ['home', 'explore', 'notifications', 'messages', 'i', 'compose', 'search', 'settings', 'bookmarks', 'lists', 'communities'];
-        if (!excludedRoutes.includes(username) && 
-            !username.startsWith('hashtag') &&
-            !username.startsWith('search') &&
+        if (!isExcludedRoute(username) &&
             username.length > 0 &&
             username.length < 20) { // Usernames are typically short
           return username;
@@ -323,8 +460,7 @@ function extractUsername(element) {
     seenUsernames.add(potentialUsername);
     
     // Filter out routes and invalid usernames
-    const excludedRoutes = ['home', 'explore', 'notifications', 'messages', 'i', 'compose', 'search', 'settings', 'bookmarks', 'lists', 'communities', 'hashtag'];
-    if (excludedRoutes.some(route => potentialUsername === route || potentialUsername.startsWith(route))) {
+    if (isExcludedRoute(potentialUsername)) {
       continue;
     }
     
@@ -349,7 +485,7 @@ function extractUsername(element) {
     }
     
     // Check if link is in a UserName container or has username-like structure
-    const parent = link.closest('[data-testid="UserName"], [data-testid="User-Name"]');
+    const parent = closestLayout(link, 'nameBlock');
     if (parent) {
       // If it's in a UserName container and looks like a username, return it
       if (potentialUsername.length > 0 && potentialUsername.length < 20 && !potentialUsername.includes('/')) {
@@ -375,7 +511,7 @@ function extractUsername(element) {
     const link = element.querySelector(`a[href="/${username}"], a[href^="/${username}?"]`);
     if (link) {
       // Make sure it's in a username context, not just mentioned in tweet text
-      const isInUserNameContainer = link.closest('[data-testid="UserName"], [data-testid="User-Name"]');
+      const isInUserNameContainer = closestLayout(link, 'nameBlock');
       if (isInUserNameContainer) {
         return username;
       }
@@ -385,9 +521,14 @@ function extractUsername(element) {
   return null;
 }
 
+// Screen name a slot is waiting on
+function getSlotScreenName(element) {
+  return identitySlots.get(element)?.screenName || extractUsername(element);
+}
+
 // Helper function to find handle section
 function findHandleSection(container, screenName) {
-  return Array.from(container.querySelectorAll('div')).find(div => {
+  return Array.from(container.querySelectorAll(getHandleSectionSelector())).find(div => {
     const link = div.querySelector(`a[href="/${screenName}"]`);
     if (link) {
       const text = link.textContent?.trim();
@@ -432,6 +573,256 @@ function createLoadingShimmer() {
   return shimmer;
 }
 
+// Check whether this browser draws flag emoji. Flags render in colour; without
+// flag glyphs the regional indicators come out as plain grey letters.
+function supportsFlagEmoji() {
+  if (flagEmojiSupported !== null) {
+    return flagEmojiSupported;
+  }
+  
+  try {
+    const size = 20;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.textBaseline = 'top';
+    context.font = `${size - 4}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+    context.fillText('\u{1F1FA}\u{1F1F8}', 0, 0);
+    
+    const pixels = context.getImageData(0, 0, size, size).data;
+    flagEmojiSupported = false;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const [r, g, b, alpha] = [pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3]];
+      if (alpha > 0 && (Math.abs(r - g) > 20 || Math.abs(g - b) > 20 || Math.abs(r - b) > 20)) {
+        flagEmojiSupported = true;
+        break;
+      }
+    }
+  } catch (error) {
+    flagEmojiSupported = true; // Can't tell - assume emoji work
+  }
+  
+  console.log('Flag emoji supported:', flagEmojiSupported);
+  return flagEmojiSupported;
+}
+
+function useSvgFlags() {
+  return flagStyle === 'svg' || (flagStyle === 'auto' && !supportsFlagEmoji());
+}
+
+// Flag as emoji text, or as a bundled SVG image sized to the surrounding text
+function createFlagElement(country) {
+  if (!useSvgFlags()) {
+    return document.createTextNode(country.flag);
+  }
+  
+  const image = document.createElement('img');
+  image.src = chrome.runtime.getURL(`flags/${country.code.toLowerCase()}.svg`);
+  image.alt = country.flag;
+  image.draggable = false;
+  image.style.height = '0.9em';
+  image.style.width = 'auto';
+  image.style.verticalAlign = '-0.1em';
+  image.style.borderRadius = '2px';
+  image.style.display = 'inline';
+  return image;
+}
+
+// Small indicator icons for username changes, possibly inaccurate (VPN or
+// proxy) locations and how the account connects
+function createProfileIndicators(profile) {
+  const indicators = [];
+  if (profile.usernameChanges > 0) {
+    const times = profile.usernameChanges === 1 ? 'time' : 'times';
+    indicators.push([`↻${profile.usernameChanges}`, `Username changed ${profile.usernameChanges} ${times}`]);
+  }
+  if (profile.locationAccurate === false) {
+    indicators.push(['⚠', 'X says this location may be inaccurate - the account may connect through a VPN or proxy']);
+  }
+  if (profile.connection) {
+    const icon = profile.connection.type === 'web' ? '🌐' : '📱';
+    indicators.push([icon, `Connects via ${profile.connection.label}`]);
+  }
+  if (indicators.length === 0) return null;
+  
+  const container = document.createElement('span');
+  container.setAttribute('data-twitter-flag-indicators', 'true');
+  for (const [text, description] of indicators) {
+    const indicator = document.createElement('span');
+    indicator.textContent = text;
+    indicator.title = description;
+    indicator.setAttribute('aria-label', description);
+    indicator.style.marginLeft = '3px';
+    indicator.style.fontSize = '0.75em';
+    indicator.style.opacity = '0.8';
+    container.appendChild(indicator);
+  }
+  return container;
+}
+
+// Markers for locations set by hand, accounts with a note and accounts whose
+// location changed - always shown, so a manual location is never mistaken for
+// what X reports and a change is never missed
+function createBadgeMarkers(manual, note, earlierLocations) {
+  const markers = [];
+  if (manual) {
+    markers.push(['✎', 'Location set manually']);
+  }
+  if (note) {
+    markers.push(['🗒', `Note: ${note}`]);
+  }
+  if (earlierLocations.length > 0) {
+    const earlier = earlierLocations.map(item => item.location).join(', ');
+    markers.push(['⇄', `Location changed - earlier: ${earlier}`]);
+  }
+  if (markers.length === 0) return null;
+  
+  const container = document.createElement('span');
+  container.setAttribute('data-twitter-flag-indicators', 'true');
+  for (const [text, description] of markers) {
+    const marker = document.createElement('span');
+    marker.textContent = text;
+    marker.title = description;
+    marker.setAttribute('aria-label', description);
+    marker.style.marginLeft = '2px';
+    marker.style.fontSize = '0.75em';
+    container.appendChild(marker);
+  }
+  return container;
+}
+
+// Build the badge for a location in the configured display mode. Locations with
+// no flag (regions, unrecognised strings) fall back to readable text.
+function createLocationBadge(country, location, profile, manual = false, note = null, earlierLocations = []) {
+  const badge = document.createElement('span');
+  badge.setAttribute('data-twitter-flag', 'true');
+  badge.style.marginLeft = '4px';
+  badge.style.marginRight = '4px';
+  badge.style.display = 'inline';
+  badge.style.color = 'inherit';
+  badge.style.verticalAlign = 'middle';
+  
+  const name = country?.name || location;
+  const flag = country?.flag;
+  
+  if (badgeDisplay === 'code' && country?.code) {
+    // ISO code text badge, e.g. "DE"
+    badge.textContent = country.code;
+    badge.style.display = 'inline-block';
+    badge.style.padding = '0 4px';
+    badge.style.border = '1px solid currentColor';
+    badge.style.borderRadius = '4px';
+    badge.style.fontSize = '0.8em';
+    badge.style.fontWeight = '600';
+    badge.style.lineHeight = '1.4';
+  } else if (badgeDisplay === 'name' || !flag) {
+    badge.textContent = name;
+    badge.style.fontSize = '0.9em';
+  } else if (badgeDisplay === 'flag-name') {
+    badge.append(' ', createFlagElement(country), ` ${name}`);
+  } else {
+    badge.append(' ', createFlagElement(country));
+  }
+  
+  if (showProfileIndicators && profile) {
+    const indicators = createProfileIndicators(profile);
+    if (indicators) {
+      badge.appendChild(indicators);
+    }
+  }
+  
+  const markers = createBadgeMarkers(manual, note, earlierLocations);
+  if (markers) {
+    badge.appendChild(markers);
+  }
+  if (manual) {
+    badge.style.textDecoration = 'underline dotted';
+  }
+  
+  return badge;
+}
+
+// Insert a badge right after the display name (and its verification badge)
+function insertBadgeAfterName(container, badge, screenName) {
+  const displayNameLink = Array.from(container.querySelectorAll('a[href^="/"]')).find(link => {
+    const href = link.getAttribute('href');
+    return (href === `/${screenName}` || href.startsWith(`/${screenName}?`)) &&
+      link.textContent?.trim() !== `@${screenName}`;
+  });
+  
+  try {
+    if (displayNameLink && displayNameLink.parentNode) {
+      displayNameLink.parentNode.insertBefore(badge, displayNameLink.nextSibling);
+      return true;
+    }
+    // Profile headers don't link the display name - append to the name row instead
+    const nameRow = container.firstElementChild;
+    if (nameRow && !nameRow.contains(findHandleSection(container, screenName) || null)) {
+      nameRow.appendChild(badge);
+      return true;
+    }
+  } catch (e) {
+    console.log('Failed to insert after display name:', e);
+  }
+  return false;
+}
+
+// Insert a badge right after the tweet timestamp link
+function insertBadgeAfterTimestamp(container, badge) {
+  const time = queryLayout(container, 'timestamp');
+  if (!time) return false;
+  
+  const anchor = time.closest('a') || time;
+  try {
+    anchor.parentNode.insertBefore(badge, anchor.nextSibling);
+    return true;
+  } catch (e) {
+    console.log('Failed to insert after timestamp:', e);
+    return false;
+  }
+}
+
+// Ways to put a badge before the @handle in a name block. Each returns true
+// if it placed the badge; layout.json decides the order they're tried in.
+const INSERTION_STRATEGIES = {
+  // Right before the handle section div, when it's a direct child of the name block
+  'before-handle-section': ({ container, badge, handleSection }) => {
+    if (!handleSection || handleSection.parentNode !== container) return false;
+    container.insertBefore(badge, handleSection);
+    return true;
+  },
+  // Before the handle section's parent, when the handle is nested deeper
+  'before-handle-parent': ({ container, badge, handleSection }) => {
+    const handleParent = handleSection?.parentNode;
+    if (!handleParent || handleParent === container || !handleParent.parentNode) return false;
+    handleParent.parentNode.insertBefore(badge, handleParent);
+    return true;
+  },
+  // Between the display name and the handle, or right after the display name
+  'after-display-name': ({ container, badge, handleSection }) => {
+    if (!handleSection) return false;
+    const displayNameContainer = container.querySelector('a[href^="/"]')?.closest('div');
+    if (!displayNameContainer?.parentNode) return false;
+    if (displayNameContainer.parentNode === handleSection.parentNode) {
+      displayNameContainer.parentNode.insertBefore(badge, handleSection);
+    } else {
+      displayNameContainer.parentNode.insertBefore(badge, displayNameContainer.nextSibling);
+    }
+    return true;
+  },
+  // Last resort: the end of the name block
+  'end-of-name-block': ({ container, badge }) => {
+    container.appendChild(badge);
+    return true;
+  }
+};
+
+function getInsertionStrategies() {
+  const names = (layout?.insertionStrategies || []).filter(name => INSERTION_STRATEGIES[name]);
+  return names.length > 0 ? names : Object.keys(INSERTION_STRATEGIES);
+}
+
 // Function to add flag to username element
 async function addFlagToUsername(usernameElement, screenName) {
   // Check if flag already added
@@ -439,14 +830,13 @@ async function addFlagToUsername(usernameElement, screenName) {
     return;
   }
 
+  // Let this container's viewport position steer the lookup's priority
+  trackPendingContainer(usernameElement, screenName);
+
   // Check if this username is already being processed (prevent duplicate API calls)
   if (processingUsernames.has(screenName)) {
-    // Wait a bit and check if flag was added by the other process
-    await new Promise(resolve => setTimeout(resolve, 500));
-    if (usernameElement.dataset.flagAdded === 'true') {
-      return;
-    }
-    // If still not added, mark this container as waiting
+    // Mark this container as waiting right away - the other lookup resumes it
+    // when it finishes, however soon that is (see resumeWaitingContainers)
     usernameElement.dataset.flagAdded = 'waiting';
     return;
   }
@@ -455,14 +845,24 @@ async function addFlagToUsername(usernameElement, screenName) {
   usernameElement.dataset.flagAdded = 'processing';
   processingUsernames.add(screenName);
   
-  // Find User-Name container for shimmer placement
-  const userNameContainer = usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+  // Reposters and reply targets get their badge right after their link
+  const identity = identitySlots.get(usernameElement);
+  const inlineAnchor = identity?.anchor || null;
+  
+  // Find User-Name container for shimmer placement - a tweet's author and
+  // quoted author slots are User-Name blocks themselves
+  const userNameContainer = matchesLayout(usernameElement, 'nameBlock')
+    ? usernameElement
+    : queryLayout(usernameElement, 'nameBlock');
   
   // Create and insert loading shimmer
   const shimmerSpan = createLoadingShimmer();
   let shimmerInserted = false;
   
-  if (userNameContainer) {
+  if (inlineAnchor) {
+    inlineAnchor.after(shimmerSpan);
+    shimmerInserted = true;
+  } else if (userNameContainer) {
     // Try to insert shimmer before handle section (same place flag will go)
     const handleSection = findHandleSection(userNameContainer, screenName);
     if (handleSection && handleSection.parentNode) {
@@ -493,7 +893,8 @@ async function addFlagToUsername(usernameElement, screenName) {
     console.log(`Processing flag for ${screenName}...`);
 
     // Get location
-    const location = await getUserLocation(screenName);
+    const lookup = await getUserLocation(screenName);
+    const { location, cancelled } = lookup;
     console.log(`Location for ${screenName}:`, location);
     
     // Remove shimmer
@@ -501,32 +902,82 @@ async function addFlagToUsername(usernameElement, screenName) {
       shimmerSpan.remove();
     }
     
+    if (cancelled) {
+      // The page dropped this username before its turn came - allow a fresh lookup later
+      console.log(`Lookup for ${screenName} cancelled`);
+      delete usernameElement.dataset.flagAdded;
+      return;
+    }
+    
+    // The tweet this account wrote, if this slot is a tweet's author
+    const tweet = closestLayout(usernameElement, 'tweet');
+    const isTweetAuthor = Boolean(tweet) && identity?.kind === 'author';
+    
     if (!location) {
       console.log(`No location found for ${screenName}, marking as failed`);
       usernameElement.dataset.flagAdded = 'failed';
+      if (isTweetAuthor) {
+        filterTweet(tweet, screenName, null, null);
+        scheduleBreakdownUpdate();
+      }
       return;
     }
 
-  // Get flag emoji
-  const flag = getCountryFlag(location);
-  if (!flag) {
-    console.log(`No flag found for location: ${location}`);
-    // Shimmer already removed above, but ensure it's gone
-    if (shimmerInserted && shimmerSpan.parentNode) {
-      shimmerSpan.remove();
+  // Map the location to a country and its flag emoji
+  const country = lookupCountry(location);
+  const flag = country?.flag;
+  if (flag) {
+    console.log(`Found flag ${flag} for ${screenName} (${location})`);
+  } else {
+    // Regions and unrecognised locations are shown as text instead
+    console.log(`No flag found for location: ${location}, showing text badge`);
+  }
+
+  // Apply the country filter rules to the tweet this account wrote and count
+  // it in the breakdown panel
+  if (isTweetAuthor) {
+    filterTweet(tweet, screenName, location, country);
+    scheduleBreakdownUpdate();
+  }
+
+  // Build the location badge in the configured display mode
+  const manual = lookup.source === 'manual';
+  const earlierLocations = lookup.earlierLocations || [];
+  const flagSpan = createLocationBadge(country, location, lookup.profile, manual, lookup.note, earlierLocations);
+  const details = {
+    screenName,
+    location,
+    country,
+    profile: lookup.profile || null,
+    fetchedAt: lookup.fetchedAt,
+    source: lookup.source,
+    fromCache: lookup.fromCache,
+    note: lookup.note || null,
+    apiLocation: lookup.apiLocation || null,
+    earlierLocations,
+    watched: Boolean(lookup.watched)
+  };
+  registerBadgeDetails(flagSpan, details);
+  labelBadge(flagSpan, details);
+  
+  // Reposters and reply targets: the badge goes right after their link
+  if (inlineAnchor) {
+    if (!inlineAnchor.nextElementSibling?.hasAttribute('data-twitter-flag')) {
+      flagSpan.style.marginLeft = '4px';
+      inlineAnchor.after(flagSpan);
+      badgeSlots.set(flagSpan, usernameElement);
+      console.log(`✓ Inserted flag after ${identity.kind} link for ${screenName}`);
     }
-    usernameElement.dataset.flagAdded = 'failed';
+    usernameElement.dataset.flagAdded = 'true';
     return;
   }
-  
-  console.log(`Found flag ${flag} for ${screenName} (${location})`);
 
   // Find the username link - try multiple strategies
   // Priority: Find the @username link, not the display name link
   let usernameLink = null;
   
   // Find the User-Name container (reuse from above if available, otherwise find it)
-  const containerForLink = userNameContainer || usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+  const containerForLink = userNameContainer || queryLayout(usernameElement, 'nameBlock');
   
   // Strategy 1: Find link with @username text content (most reliable - this is the actual handle)
   if (containerForLink) {
@@ -580,7 +1031,8 @@ async function addFlagToUsername(usernameElement, screenName) {
       const match = href.match(/^\/([^\/\?]+)/);
       if (match && match[1] === screenName) {
         // Skip if this looks like a display name link (has verification badge nearby)
-        const hasVerificationBadge = link.closest('[data-testid="User-Name"]')?.querySelector('[data-testid="icon-verified"]');
+        const nameBlock = closestLayout(link, 'nameBlock');
+        const hasVerificationBadge = nameBlock && queryLayout(nameBlock, 'verifiedIcon');
         if (!hasVerificationBadge || link.textContent?.trim() === `@${screenName}`) {
           usernameLink = link;
           break;
@@ -616,18 +1068,8 @@ async function addFlagToUsername(usernameElement, screenName) {
     return;
   }
 
-  // Add flag emoji - place it next to verification badge, before @ handle
-  const flagSpan = document.createElement('span');
-  flagSpan.textContent = ` ${flag}`;
-  flagSpan.setAttribute('data-twitter-flag', 'true');
-  flagSpan.style.marginLeft = '4px';
-  flagSpan.style.marginRight = '4px';
-  flagSpan.style.display = 'inline';
-  flagSpan.style.color = 'inherit';
-  flagSpan.style.verticalAlign = 'middle';
-  
   // Use userNameContainer found above, or find it if not found
-  const containerForFlag = userNameContainer || usernameElement.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+  const containerForFlag = userNameContainer || queryLayout(usernameElement, 'nameBlock');
   
   if (!containerForFlag) {
     console.error(`Could not find UserName container for ${screenName}`);
@@ -639,99 +1081,43 @@ async function addFlagToUsername(usernameElement, screenName) {
     return;
   }
   
-  // Find the verification badge (SVG with data-testid="icon-verified")
-  const verificationBadge = containerForFlag.querySelector('[data-testid="icon-verified"]');
-  
   // Find the handle section - the div that contains the @username link
   // The structure is: User-Name > div (display name) > div (handle section with @username)
   const handleSection = findHandleSection(containerForFlag, screenName);
 
   let inserted = false;
   
-  // Strategy 1: Insert right before the handle section div (which contains @username)
-  // The handle section is a direct child of User-Name container
-  if (handleSection && handleSection.parentNode === containerForFlag) {
-    try {
-      containerForFlag.insertBefore(flagSpan, handleSection);
-      inserted = true;
-      console.log(`✓ Inserted flag before handle section for ${screenName}`);
-    } catch (e) {
-      console.log('Failed to insert before handle section:', e);
-    }
-  }
-  
-  // Strategy 2: Find the handle section's parent and insert before it
-  if (!inserted && handleSection && handleSection.parentNode) {
-    try {
-      // Insert before the handle section's parent (if it's not User-Name)
-      const handleParent = handleSection.parentNode;
-      if (handleParent !== containerForFlag && handleParent.parentNode) {
-        handleParent.parentNode.insertBefore(flagSpan, handleParent);
-        inserted = true;
-        console.log(`✓ Inserted flag before handle parent for ${screenName}`);
-      } else if (handleParent === containerForFlag) {
-        // Handle section is direct child, insert before it
-        containerForFlag.insertBefore(flagSpan, handleSection);
-        inserted = true;
-        console.log(`✓ Inserted flag before handle section (direct child) for ${screenName}`);
-      }
-    } catch (e) {
-      console.log('Failed to insert before handle parent:', e);
-    }
-  }
-  
-  // Strategy 3: Find display name container and insert after it, before handle section
-  if (!inserted && handleSection) {
-    try {
-      // Find the display name link (first link)
-      const displayNameLink = containerForFlag.querySelector('a[href^="/"]');
-      if (displayNameLink) {
-        // Find the div that contains the display name link
-        const displayNameContainer = displayNameLink.closest('div');
-        if (displayNameContainer && displayNameContainer.parentNode) {
-          // Check if handle section is a sibling
-          if (displayNameContainer.parentNode === handleSection.parentNode) {
-            displayNameContainer.parentNode.insertBefore(flagSpan, handleSection);
-            inserted = true;
-            console.log(`✓ Inserted flag between display name and handle (siblings) for ${screenName}`);
-          } else {
-            // Try inserting after display name container
-            displayNameContainer.parentNode.insertBefore(flagSpan, displayNameContainer.nextSibling);
-            inserted = true;
-            console.log(`✓ Inserted flag after display name container for ${screenName}`);
-          }
-        }
-      }
-    } catch (e) {
-      console.log('Failed to insert after display name:', e);
-    }
+  // Other configured positions - fall back to before the handle if they can't be found
+  if (badgePosition === 'after-name') {
+    inserted = insertBadgeAfterName(containerForFlag, flagSpan, screenName);
+  } else if (badgePosition === 'after-timestamp') {
+    inserted = insertBadgeAfterTimestamp(containerForFlag, flagSpan) ||
+      insertBadgeAfterTimestamp(usernameElement, flagSpan);
+  }
+  if (inserted) {
+    console.log(`✓ Inserted flag ${badgePosition} for ${screenName}`);
   }
   
-  // Strategy 4: Insert at the end of User-Name container (fallback)
+  // Before the handle: try the strategies in the order layout.json lists them
   if (!inserted) {
-    try {
-      containerForFlag.appendChild(flagSpan);
-      inserted = true;
-      console.log(`✓ Inserted flag at end of UserName container for ${screenName}`);
-    } catch (e) {
-      console.error('Failed to append flag to User-Name container:', e);
+    const context = { container: containerForFlag, badge: flagSpan, handleSection };
+    for (const name of getInsertionStrategies()) {
+      try {
+        if (INSERTION_STRATEGIES[name](context)) {
+          inserted = true;
+          console.log(`✓ Inserted flag (${name}) for ${screenName}`);
+          break;
+        }
+      } catch (e) {
+        console.log(`Failed to insert flag (${name}):`, e);
+      }
     }
   }
   
     if (inserted) {
       // Mark as processed
       usernameElement.dataset.flagAdded = 'true';
-      console.log(`✓ Successfully added flag ${flag} for ${screenName} (${location})`);
-      
-      // Also mark any other containers waiting for this username
-      const waitingContainers = document.querySelectorAll(`[data-flag-added="waiting"]`);
-      waitingContainers.forEach(container => {
-        const waitingUsername = extractUsername(container);
-        if (waitingUsername === screenName) {
-          // Try to add flag to this container too
-          addFlagToUsername(container, screenName).catch(() => {});
-        }
-      });
+      console.log(`✓ Successfully added flag ${flag || location} for ${screenName} (${location})`);
     } else {
       console.error(`✗ Failed to insert flag for ${screenName} - tried all strategies`);
       console.error('Username link:', usernameLink);
@@ -752,9 +1138,38 @@ async function addFlagToUsername(usernameElement, screenName) {
   } finally {
     // Remove from processing set
     processingUsernames.delete(screenName);
+    untrackPendingContainers(screenName);
+    // However this lookup ended - badge, no location, inline slot, cancelled
+    // or failed - let the containers that waited on it carry on
+    resumeWaitingContainers(screenName);
   }
 }
 
+// Process the containers that waited while another one looked this username
+// up. The answer is usually cached by now, so this costs no API call.
+function resumeWaitingContainers(screenName) {
+  document.querySelectorAll('[data-flag-added="waiting"]').forEach(container => {
+    if (getSlotScreenName(container) === screenName) {
+      addFlagToUsername(container, screenName).catch(() => {});
+    }
+  });
+}
+
+// Redraw the badges for one username (its location was refreshed or overridden)
+function refreshBadges(screenName) {
+  const handle = screenName.toLowerCase();
+  document.querySelectorAll('[data-twitter-flag]').forEach(badge => {
+    if (getBadgeDetails(badge)?.screenName.toLowerCase() === handle) {
+      const container = badgeSlots.get(badge) || badge.closest('[data-flag-added]');
+      badge.remove();
+      if (container) {
+        delete container.dataset.flagAdded;
+      }
+    }
+  });
+  scheduleFullPass();
+}
+
 // Function to remove all flags (when extension is disabled)
 function removeAllFlags() {
   const flags = document.querySelectorAll('[data-twitter-flag]');
@@ -773,94 +1188,114 @@ function removeAllFlags() {
   console.log('Removed all flags');
 }
 
-// Function to process all username elements on the page
-async function processUsernames() {
+// Containers of every enabled surface (tweets, user cells, DMs...) in or
+// around a root. Content added inside a tweet belongs to that tweet, so the
+// enclosing container is included too.
+function findContainers(root, surfaces) {
+  const containers = [];
+  for (const surface of surfaces) {
+    const found = new Set(queryAllLayout(root, surface.selectorKey));
+    if (root !== document) {
+      const enclosing = closestLayout(root, surface.selectorKey);
+      if (enclosing) found.add(enclosing);
+    }
+    found.forEach(container => containers.push({ surface, container }));
+  }
+  return containers;
+}
+
+// Add flags in the given roots - the whole page by default, or just the
+// subtrees the scheduler saw added. Returns counts for benchmark mode.
+function processUsernames(roots = [document]) {
+  const stats = { containers: 0, found: 0, processed: 0 };
+  
   // Check if extension is enabled
   if (!extensionEnabled) {
-    return;
+    return stats;
   }
   
-  // Find all tweet/article containers and user cells
-  const containers = document.querySelectorAll('article[data-testid="tweet"], [data-testid="UserCell"], [data-testid="User-Names"], [data-testid="User-Name"]');
-  
-  console.log(`Processing ${containers.length} containers for usernames`);
+  const surfaces = getEnabledSurfaces();
+  const containers = roots.flatMap(root => findContainers(root, surfaces));
+  stats.containers = containers.length;
   
-  let foundCount = 0;
-  let processedCount = 0;
   let skippedCount = 0;
   
-  for (const container of containers) {
-    const screenName = extractUsername(container);
-    if (screenName) {
-      foundCount++;
-      const status = container.dataset.flagAdded;
+  for (const { surface, container } of containers) {
+    const identities = surface.findIdentities(container);
+    for (const identity of identities) {
+      const { element, screenName } = identity;
+      identitySlots.set(element, identity);
+      stats.found++;
+      const status = element.dataset.flagAdded;
       if (!status || status === 'failed') {
-        processedCount++;
+        stats.processed++;
         // Process in parallel but limit concurrency
-        addFlagToUsername(container, screenName).catch(err => {
+        addFlagToUsername(element, screenName).catch(err => {
           console.error(`Error processing ${screenName}:`, err);
-          container.dataset.flagAdded = 'failed';
+          element.dataset.flagAdded = 'failed';
         });
       } else {
         skippedCount++;
       }
-    } else {
-      // Debug: log containers that don't have usernames
-      const hasUserName = container.querySelector('[data-testid="UserName"], [data-testid="User-Name"]');
+    }
+    if (identities.length === 0 && surface.id === 'tweets') {
+      // Debug: log tweets we couldn't find any account in
+      const hasUserName = queryLayout(container, 'nameBlock');
       if (hasUserName) {
         console.log('Found UserName container but no username extracted');
       }
     }
   }
   
-  if (foundCount > 0) {
-    console.log(`Found ${foundCount} usernames, processing ${processedCount} new ones, skipped ${skippedCount} already processed`);
-  } else {
-    console.log('No usernames found in containers');
+  if (stats.processed > 0) {
+    console.log(`Found ${stats.found} usernames in ${stats.containers} containers, processing ${stats.processed} new ones, skipped ${skippedCount} already processed`);
   }
-}
-
-// Initialize observer for dynamically loaded content
-function initObserver() {
-  if (observer) {
-    observer.disconnect();
+  
+  // New tweets change the breakdown totals
+  if (stats.containers > 0) {
+    scheduleBreakdownUpdate();
   }
+  
+  // Make sure our selectors still recognise X's layout
+  runLayoutSelfCheck();
+  return stats;
+}
 
-  observer = new MutationObserver((mutations) => {
-    // Don't process if extension is disabled
-    if (!extensionEnabled) {
-      return;
-    }
-    
-    let shouldProcess = false;
-    for (const mutation of mutations) {
-      if (mutation.addedNodes.length > 0) {
-        shouldProcess = true;
-        break;
-      }
-    }
-    
-    if (shouldProcess) {
-      // Debounce processing
-      setTimeout(processUsernames, 500);
-    }
-  });
+// X changes pages with the History API - the page script tells us
+function handleNavigation() {
+  const url = location.href;
+  if (url === lastUrl) return;
+  lastUrl = url;
+  console.log('Page navigation detected, reprocessing usernames');
+  scheduleBreakdownUpdate();
+  scheduleFullPass();
+}
 
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+// Start processing the page - on load, or when the extension is enabled later
+function start() {
+  // Talk to the page script
+  connectPageScript();
+  
+  // Process what's already on the page, then what X adds from here on
+  scheduleFullPass();
+  initObserver();
+  initHoverCards();
 }
 
 // Main initialization
 async function init() {
   console.log('Twitter Location Flag extension initialized');
   
-  // Load enabled state first
-  await loadEnabledState();
-  
-  // Load persistent cache
-  await loadCache();
+  // Load settings and the layout definition first
+  try {
+    const settings = await loadSettings();
+    extensionEnabled = settings.extension_enabled;
+    applySettings(settings);
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+  await loadLayout();
+  onSettingsChanged(handleSettingsChanged);
   
   // Only proceed if extension is enabled
   if (!extensionEnabled) {
@@ -868,30 +1303,7 @@ async function init() {
     return;
   }
   
-  // Inject page script
-  injectPageScript();
-  
-  // Wait a bit for page to fully load
-  setTimeout(() => {
-    processUsernames();
-  }, 2000);
-  
-  // Set up observer for new content
-  initObserver();
-  
-  // Re-process on navigation (Twitter uses SPA)
-  let lastUrl = location.href;
-  new MutationObserver(() => {
-    const url = location.href;
-    if (url !== lastUrl) {
-      lastUrl = url;
-      console.log('Page navigation detected, reprocessing usernames');
-      setTimeout(processUsernames, 2000);
-    }
-  }).observe(document, { subtree: true, childList: true });
-  
-  // Save cache periodically
-  setInterval(saveCache, 30000); // Save every 30 seconds
+  start();
 }
 
 // Wait for page to load
@@ -1,84 +1,530 @@
-// Country name to flag emoji mapping
-const COUNTRY_FLAGS = {
-  "Afghanistan": "🇦🇫",
-  "Albania": "🇦🇱",
-  "Algeria": "🇩🇿",
-  "Argentina": "🇦🇷",
-  "Australia": "🇦🇺",
-  "Austria": "🇦🇹",
-  "Bangladesh": "🇧🇩",
-  "Belgium": "🇧🇪",
-  "Brazil": "🇧🇷",
-  "Canada": "🇨🇦",
-  "Chile": "🇨🇱",
-  "China": "🇨🇳",
-  "Colombia": "🇨🇴",
-  "Czech Republic": "🇨🇿",
-  "Denmark": "🇩🇰",
-  "Egypt": "🇪🇬",
-  "Europe": "🇪🇺",
-  "Finland": "🇫🇮",
-  "France": "🇫🇷",
-  "Germany": "🇩🇪",
-  "Greece": "🇬🇷",
-  "Hong Kong": "🇭🇰",
-  "Hungary": "🇭🇺",
-  "India": "🇮🇳",
-  "Indonesia": "🇮🇩",
-  "Iran": "🇮🇷",
-  "Iraq": "🇮🇶",
-  "Ireland": "🇮🇪",
-  "Israel": "🇮🇱",
-  "Italy": "🇮🇹",
-  "Japan": "🇯🇵",
-  "Kenya": "🇰🇪",
-  "Malaysia": "🇲🇾",
-  "Mexico": "🇲🇽",
-  "Netherlands": "🇳🇱",
-  "New Zealand": "🇳🇿",
-  "Nigeria": "🇳🇬",
-  "Norway": "🇳🇴",
-  "Pakistan": "🇵🇰",
-  "Philippines": "🇵🇭",
-  "Poland": "🇵🇱",
-  "Portugal": "🇵🇹",
-  "Romania": "🇷🇴",
-  "Russia": "🇷🇺",
-  "Saudi Arabia": "🇸🇦",
-  "Singapore": "🇸🇬",
-  "South Africa": "🇿🇦",
-  "Korea": "🇰🇷",
-  "South Korea": "🇰🇷",
-  "Spain": "🇪🇸",
-  "Sweden": "🇸🇪",
-  "Switzerland": "🇨🇭",
-  "Taiwan": "🇹🇼",
-  "Thailand": "🇹🇭",
-  "Turkey": "🇹🇷",
-  "Ukraine": "🇺🇦",
-  "United Arab Emirates": "🇦🇪",
-  "United Kingdom": "🇬🇧",
-  "United States": "🇺🇸",
-  "Venezuela": "🇻🇪",
-  "Vietnam": "🇻🇳"
+// ISO 3166-1 countries keyed by alpha-2 code: [English name, region]
+// XK (Kosovo) is user-assigned but widely used, so it's included too
+const COUNTRIES = {
+  AD: ['Andorra', 'Europe'],
+  AE: ['United Arab Emirates', 'Asia'],
+  AF: ['Afghanistan', 'Asia'],
+  AG: ['Antigua and Barbuda', 'Americas'],
+  AI: ['Anguilla', 'Americas'],
+  AL: ['Albania', 'Europe'],
+  AM: ['Armenia', 'Asia'],
+  AO: ['Angola', 'Africa'],
+  AQ: ['Antarctica', 'Antarctica'],
+  AR: ['Argentina', 'Americas'],
+  AS: ['American Samoa', 'Oceania'],
+  AT: ['Austria', 'Europe'],
+  AU: ['Australia', 'Oceania'],
+  AW: ['Aruba', 'Americas'],
+  AX: ['Åland Islands', 'Europe'],
+  AZ: ['Azerbaijan', 'Asia'],
+  BA: ['Bosnia and Herzegovina', 'Europe'],
+  BB: ['Barbados', 'Americas'],
+  BD: ['Bangladesh', 'Asia'],
+  BE: ['Belgium', 'Europe'],
+  BF: ['Burkina Faso', 'Africa'],
+  BG: ['Bulgaria', 'Europe'],
+  BH: ['Bahrain', 'Asia'],
+  BI: ['Burundi', 'Africa'],
+  BJ: ['Benin', 'Africa'],
+  BL: ['Saint Barthélemy', 'Americas'],
+  BM: ['Bermuda', 'Americas'],
+  BN: ['Brunei', 'Asia'],
+  BO: ['Bolivia', 'Americas'],
+  BQ: ['Caribbean Netherlands', 'Americas'],
+  BR: ['Brazil', 'Americas'],
+  BS: ['Bahamas', 'Americas'],
+  BT: ['Bhutan', 'Asia'],
+  BV: ['Bouvet Island', 'Americas'],
+  BW: ['Botswana', 'Africa'],
+  BY: ['Belarus', 'Europe'],
+  BZ: ['Belize', 'Americas'],
+  CA: ['Canada', 'Americas'],
+  CC: ['Cocos (Keeling) Islands', 'Oceania'],
+  CD: ['Democratic Republic of the Congo', 'Africa'],
+  CF: ['Central African Republic', 'Africa'],
+  CG: ['Republic of the Congo', 'Africa'],
+  CH: ['Switzerland', 'Europe'],
+  CI: ["Côte d'Ivoire", 'Africa'],
+  CK: ['Cook Islands', 'Oceania'],
+  CL: ['Chile', 'Americas'],
+  CM: ['Cameroon', 'Africa'],
+  CN: ['China', 'Asia'],
+  CO: ['Colombia', 'Americas'],
+  CR: ['Costa Rica', 'Americas'],
+  CU: ['Cuba', 'Americas'],
+  CV: ['Cape Verde', 'Africa'],
+  CW: ['Curaçao', 'Americas'],
+  CX: ['Christmas Island', 'Oceania'],
+  CY: ['Cyprus', 'Asia'],
+  CZ: ['Czechia', 'Europe'],
+  DE: ['Germany', 'Europe'],
+  DJ: ['Djibouti', 'Africa'],
+  DK: ['Denmark', 'Europe'],
+  DM: ['Dominica', 'Americas'],
+  DO: ['Dominican Republic', 'Americas'],
+  DZ: ['Algeria', 'Africa'],
+  EC: ['Ecuador', 'Americas'],
+  EE: ['Estonia', 'Europe'],
+  EG: ['Egypt', 'Africa'],
+  EH: ['Western Sahara', 'Africa'],
+  ER: ['Eritrea', 'Africa'],
+  ES: ['Spain', 'Europe'],
+  ET: ['Ethiopia', 'Africa'],
+  FI: ['Finland', 'Europe'],
+  FJ: ['Fiji', 'Oceania'],
+  FK: ['Falkland Islands', 'Americas'],
+  FM: ['Micronesia', 'Oceania'],
+  FO: ['Faroe Islands', 'Europe'],
+  FR: ['France', 'Europe'],
+  GA: ['Gabon', 'Africa'],
+  GB: ['United Kingdom', 'Europe'],
+  GD: ['Grenada', 'Americas'],
+  GE: ['Georgia', 'Asia'],
+  GF: ['French Guiana', 'Americas'],
+  GG: ['Guernsey', 'Europe'],
+  GH: ['Ghana', 'Africa'],
+  GI: ['Gibraltar', 'Europe'],
+  GL: ['Greenland', 'Americas'],
+  GM: ['Gambia', 'Africa'],
+  GN: ['Guinea', 'Africa'],
+  GP: ['Guadeloupe', 'Americas'],
+  GQ: ['Equatorial Guinea', 'Africa'],
+  GR: ['Greece', 'Europe'],
+  GS: ['South Georgia and South Sandwich Islands', 'Americas'],
+  GT: ['Guatemala', 'Americas'],
+  GU: ['Guam', 'Oceania'],
+  GW: ['Guinea-Bissau', 'Africa'],
+  GY: ['Guyana', 'Americas'],
+  HK: ['Hong Kong', 'Asia'],
+  HM: ['Heard Island and McDonald Islands', 'Oceania'],
+  HN: ['Honduras', 'Americas'],
+  HR: ['Croatia', 'Europe'],
+  HT: ['Haiti', 'Americas'],
+  HU: ['Hungary', 'Europe'],
+  ID: ['Indonesia', 'Asia'],
+  IE: ['Ireland', 'Europe'],
+  IL: ['Israel', 'Asia'],
+  IM: ['Isle of Man', 'Europe'],
+  IN: ['India', 'Asia'],
+  IO: ['British Indian Ocean Territory', 'Africa'],
+  IQ: ['Iraq', 'Asia'],
+  IR: ['Iran', 'Asia'],
+  IS: ['Iceland', 'Europe'],
+  IT: ['Italy', 'Europe'],
+  JE: ['Jersey', 'Europe'],
+  JM: ['Jamaica', 'Americas'],
+  JO: ['Jordan', 'Asia'],
+  JP: ['Japan', 'Asia'],
+  KE: ['Kenya', 'Africa'],
+  KG: ['Kyrgyzstan', 'Asia'],
+  KH: ['Cambodia', 'Asia'],
+  KI: ['Kiribati', 'Oceania'],
+  KM: ['Comoros', 'Africa'],
+  KN: ['Saint Kitts and Nevis', 'Americas'],
+  KP: ['North Korea', 'Asia'],
+  KR: ['South Korea', 'Asia'],
+  KW: ['Kuwait', 'Asia'],
+  KY: ['Cayman Islands', 'Americas'],
+  KZ: ['Kazakhstan', 'Asia'],
+  LA: ['Laos', 'Asia'],
+  LB: ['Lebanon', 'Asia'],
+  LC: ['Saint Lucia', 'Americas'],
+  LI: ['Liechtenstein', 'Europe'],
+  LK: ['Sri Lanka', 'Asia'],
+  LR: ['Liberia', 'Africa'],
+  LS: ['Lesotho', 'Africa'],
+  LT: ['Lithuania', 'Europe'],
+  LU: ['Luxembourg', 'Europe'],
+  LV: ['Latvia', 'Europe'],
+  LY: ['Libya', 'Africa'],
+  MA: ['Morocco', 'Africa'],
+  MC: ['Monaco', 'Europe'],
+  MD: ['Moldova', 'Europe'],
+  ME: ['Montenegro', 'Europe'],
+  MF: ['Saint Martin', 'Americas'],
+  MG: ['Madagascar', 'Africa'],
+  MH: ['Marshall Islands', 'Oceania'],
+  MK: ['North Macedonia', 'Europe'],
+  ML: ['Mali', 'Africa'],
+  MM: ['Myanmar', 'Asia'],
+  MN: ['Mongolia', 'Asia'],
+  MO: ['Macao', 'Asia'],
+  MP: ['Northern Mariana Islands', 'Oceania'],
+  MQ: ['Martinique', 'Americas'],
+  MR: ['Mauritania', 'Africa'],
+  MS: ['Montserrat', 'Americas'],
+  MT: ['Malta', 'Europe'],
+  MU: ['Mauritius', 'Africa'],
+  MV: ['Maldives', 'Asia'],
+  MW: ['Malawi', 'Africa'],
+  MX: ['Mexico', 'Americas'],
+  MY: ['Malaysia', 'Asia'],
+  MZ: ['Mozambique', 'Africa'],
+  NA: ['Namibia', 'Africa'],
+  NC: ['New Caledonia', 'Oceania'],
+  NE: ['Niger', 'Africa'],
+  NF: ['Norfolk Island', 'Oceania'],
+  NG: ['Nigeria', 'Africa'],
+  NI: ['Nicaragua', 'Americas'],
+  NL: ['Netherlands', 'Europe'],
+  NO: ['Norway', 'Europe'],
+  NP: ['Nepal', 'Asia'],
+  NR: ['Nauru', 'Oceania'],
+  NU: ['Niue', 'Oceania'],
+  NZ: ['New Zealand', 'Oceania'],
+  OM: ['Oman', 'Asia'],
+  PA: ['Panama', 'Americas'],
+  PE: ['Peru', 'Americas'],
+  PF: ['French Polynesia', 'Oceania'],
+  PG: ['Papua New Guinea', 'Oceania'],
+  PH: ['Philippines', 'Asia'],
+  PK: ['Pakistan', 'Asia'],
+  PL: ['Poland', 'Europe'],
+  PM: ['Saint Pierre and Miquelon', 'Americas'],
+  PN: ['Pitcairn Islands', 'Oceania'],
+  PR: ['Puerto Rico', 'Americas'],
+  PS: ['Palestine', 'Asia'],
+  PT: ['Portugal', 'Europe'],
+  PW: ['Palau', 'Oceania'],
+  PY: ['Paraguay', 'Americas'],
+  QA: ['Qatar', 'Asia'],
+  RE: ['Réunion', 'Africa'],
+  RO: ['Romania', 'Europe'],
+  RS: ['Serbia', 'Europe'],
+  RU: ['Russia', 'Europe'],
+  RW: ['Rwanda', 'Africa'],
+  SA: ['Saudi Arabia', 'Asia'],
+  SB: ['Solomon Islands', 'Oceania'],
+  SC: ['Seychelles', 'Africa'],
+  SD: ['Sudan', 'Africa'],
+  SE: ['Sweden', 'Europe'],
+  SG: ['Singapore', 'Asia'],
+  SH: ['Saint Helena', 'Africa'],
+  SI: ['Slovenia', 'Europe'],
+  SJ: ['Svalbard and Jan Mayen', 'Europe'],
+  SK: ['Slovakia', 'Europe'],
+  SL: ['Sierra Leone', 'Africa'],
+  SM: ['San Marino', 'Europe'],
+  SN: ['Senegal', 'Africa'],
+  SO: ['Somalia', 'Africa'],
+  SR: ['Suriname', 'Americas'],
+  SS: ['South Sudan', 'Africa'],
+  ST: ['São Tomé and Príncipe', 'Africa'],
+  SV: ['El Salvador', 'Americas'],
+  SX: ['Sint Maarten', 'Americas'],
+  SY: ['Syria', 'Asia'],
+  SZ: ['Eswatini', 'Africa'],
+  TC: ['Turks and Caicos Islands', 'Americas'],
+  TD: ['Chad', 'Africa'],
+  TF: ['French Southern Territories', 'Africa'],
+  TG: ['Togo', 'Africa'],
+  TH: ['Thailand', 'Asia'],
+  TJ: ['Tajikistan', 'Asia'],
+  TK: ['Tokelau', 'Oceania'],
+  TL: ['Timor-Leste', 'Asia'],
+  TM: ['Turkmenistan', 'Asia'],
+  TN: ['Tunisia', 'Africa'],
+  TO: ['Tonga', 'Oceania'],
+  TR: ['Türkiye', 'Asia'],
+  TT: ['Trinidad and Tobago', 'Americas'],
+  TV: ['Tuvalu', 'Oceania'],
+  TW: ['Taiwan', 'Asia'],
+  TZ: ['Tanzania', 'Africa'],
+  UA: ['Ukraine', 'Europe'],
+  UG: ['Uganda', 'Africa'],
+  UM: ['U.S. Outlying Islands', 'Oceania'],
+  US: ['United States', 'Americas'],
+  UY: ['Uruguay', 'Americas'],
+  UZ: ['Uzbekistan', 'Asia'],
+  VA: ['Vatican City', 'Europe'],
+  VC: ['Saint Vincent and the Grenadines', 'Americas'],
+  VE: ['Venezuela', 'Americas'],
+  VG: ['British Virgin Islands', 'Americas'],
+  VI: ['U.S. Virgin Islands', 'Americas'],
+  VN: ['Vietnam', 'Asia'],
+  VU: ['Vanuatu', 'Oceania'],
+  WF: ['Wallis and Futuna', 'Oceania'],
+  WS: ['Samoa', 'Oceania'],
+  XK: ['Kosovo', 'Europe'],
+  YE: ['Yemen', 'Asia'],
+  YT: ['Mayotte', 'Africa'],
+  ZA: ['South Africa', 'Africa'],
+  ZM: ['Zambia', 'Africa'],
+  ZW: ['Zimbabwe', 'Africa']
 };
 
-function getCountryFlag(countryName) {
-  if (!countryName) return null;
-  
-  // Try exact match first
-  if (COUNTRY_FLAGS[countryName]) {
-    return COUNTRY_FLAGS[countryName];
+// Other names X or users give countries - keys are normalized (see normalizeCountryName)
+const COUNTRY_ALIASES = {
+  'usa': 'US',
+  'us': 'US',
+  'u s': 'US',
+  'united states of america': 'US',
+  'america': 'US',
+  'uk': 'GB',
+  'u k': 'GB',
+  'great britain': 'GB',
+  'britain': 'GB',
+  'england': 'GB',
+  'scotland': 'GB',
+  'wales': 'GB',
+  'northern ireland': 'GB',
+  'united kingdom of great britain and northern ireland': 'GB',
+  'korea': 'KR',
+  'republic of korea': 'KR',
+  'korea republic of': 'KR',
+  'north korea': 'KP',
+  'dprk': 'KP',
+  'democratic peoples republic of korea': 'KP',
+  'russian federation': 'RU',
+  'turkey': 'TR',
+  'turkiye': 'TR',
+  'czech republic': 'CZ',
+  'czechia': 'CZ',
+  'holland': 'NL',
+  'uae': 'AE',
+  'emirates': 'AE',
+  'hong kong sar': 'HK',
+  'hong kong sar china': 'HK',
+  'macau': 'MO',
+  'macao sar': 'MO',
+  'macao sar china': 'MO',
+  'china mainland': 'CN',
+  'mainland china': 'CN',
+  'peoples republic of china': 'CN',
+  'prc': 'CN',
+  'republic of china': 'TW',
+  'ivory coast': 'CI',
+  'cape verde': 'CV',
+  'swaziland': 'SZ',
+  'burma': 'MM',
+  'myanmar burma': 'MM',
+  'east timor': 'TL',
+  'vatican': 'VA',
+  'holy see': 'VA',
+  'palestinian territories': 'PS',
+  'state of palestine': 'PS',
+  'viet nam': 'VN',
+  'laos': 'LA',
+  'lao pdr': 'LA',
+  'syria': 'SY',
+  'syrian arab republic': 'SY',
+  'iran islamic republic of': 'IR',
+  'moldova republic of': 'MD',
+  'bolivia plurinational state of': 'BO',
+  'venezuela bolivarian republic of': 'VE',
+  'tanzania united republic of': 'TZ',
+  'micronesia federated states of': 'FM',
+  'saint kitts': 'KN',
+  'st kitts and nevis': 'KN',
+  'st lucia': 'LC',
+  'st vincent and the grenadines': 'VC',
+  'st vincent and grenadines': 'VC',
+  'st helena': 'SH',
+  'st barthelemy': 'BL',
+  'st martin': 'MF',
+  'st pierre and miquelon': 'PM',
+  'drc': 'CD',
+  'dr congo': 'CD',
+  'congo kinshasa': 'CD',
+  'congo brazzaville': 'CG',
+  'congo': 'CG',
+  'bosnia': 'BA',
+  'macedonia': 'MK',
+  'falklands': 'FK',
+  'falkland islands islas malvinas': 'FK',
+  'reunion island': 'RE',
+  'sao tome': 'ST',
+  'brunei darussalam': 'BN',
+  'kyrgyz republic': 'KG',
+  'slovak republic': 'SK',
+  'the gambia': 'GM',
+  'the bahamas': 'BS',
+  'us virgin islands': 'VI',
+  'u s virgin islands': 'VI',
+  'british virgin islands': 'VG',
+  'timor leste': 'TL'
+};
+
+// Region groupings - every country belongs to one, and X sometimes reports a
+// region instead of a country. Keys are normalized region names.
+const REGIONS = {
+  'europe': { name: 'Europe', region: 'Europe', code: 'EU' },
+  'european union': { name: 'European Union', region: 'Europe', code: 'EU' },
+  'western europe': { name: 'Western Europe', region: 'Europe' },
+  'eastern europe': { name: 'Eastern Europe', region: 'Europe' },
+  'northern europe': { name: 'Northern Europe', region: 'Europe' },
+  'southern europe': { name: 'Southern Europe', region: 'Europe' },
+  'central europe': { name: 'Central Europe', region: 'Europe' },
+  'europe and central asia': { name: 'Europe & Central Asia', region: 'Europe' },
+  'africa': { name: 'Africa', region: 'Africa' },
+  'north africa': { name: 'North Africa', region: 'Africa' },
+  'northern africa': { name: 'North Africa', region: 'Africa' },
+  'sub saharan africa': { name: 'Sub-Saharan Africa', region: 'Africa' },
+  'east africa': { name: 'East Africa', region: 'Africa' },
+  'eastern africa': { name: 'East Africa', region: 'Africa' },
+  'west africa': { name: 'West Africa', region: 'Africa' },
+  'western africa': { name: 'West Africa', region: 'Africa' },
+  'central africa': { name: 'Central Africa', region: 'Africa' },
+  'middle africa': { name: 'Central Africa', region: 'Africa' },
+  'southern africa': { name: 'Southern Africa', region: 'Africa' },
+  'asia': { name: 'Asia', region: 'Asia' },
+  'east asia': { name: 'East Asia', region: 'Asia' },
+  'eastern asia': { name: 'East Asia', region: 'Asia' },
+  'south asia': { name: 'South Asia', region: 'Asia' },
+  'southern asia': { name: 'South Asia', region: 'Asia' },
+  'southeast asia': { name: 'Southeast Asia', region: 'Asia' },
+  'south east asia': { name: 'Southeast Asia', region: 'Asia' },
+  'south eastern asia': { name: 'Southeast Asia', region: 'Asia' },
+  'central asia': { name: 'Central Asia', region: 'Asia' },
+  'west asia': { name: 'West Asia', region: 'Asia' },
+  'western asia': { name: 'West Asia', region: 'Asia' },
+  'middle east': { name: 'Middle East', region: 'Asia' },
+  'middle east and north africa': { name: 'Middle East & North Africa', region: 'Asia' },
+  'mena': { name: 'Middle East & North Africa', region: 'Asia' },
+  'east asia and pacific': { name: 'East Asia & Pacific', region: 'Asia' },
+  'asia pacific': { name: 'Asia Pacific', region: 'Asia' },
+  'apac': { name: 'Asia Pacific', region: 'Asia' },
+  'americas': { name: 'Americas', region: 'Americas' },
+  'north america': { name: 'North America', region: 'Americas' },
+  'northern america': { name: 'North America', region: 'Americas' },
+  'south america': { name: 'South America', region: 'Americas' },
+  'latin america': { name: 'Latin America', region: 'Americas' },
+  'latin america and the caribbean': { name: 'Latin America & Caribbean', region: 'Americas' },
+  'latin america and caribbean': { name: 'Latin America & Caribbean', region: 'Americas' },
+  'central america': { name: 'Central America', region: 'Americas' },
+  'caribbean': { name: 'Caribbean', region: 'Americas' },
+  'oceania': { name: 'Oceania', region: 'Oceania' },
+  'australasia': { name: 'Australasia', region: 'Oceania' },
+  'australia and new zealand': { name: 'Australia & New Zealand', region: 'Oceania' },
+  'pacific': { name: 'Pacific', region: 'Oceania' },
+  'pacific islands': { name: 'Pacific Islands', region: 'Oceania' },
+  'antarctica': { name: 'Antarctica', region: 'Antarctica', code: 'AQ' }
+};
+
+// Languages whose country names are recognised, besides the page's own language
+const LOCALIZED_NAME_LANGUAGES = [
+  'ar', 'bn', 'de', 'es', 'fa', 'fr', 'hi', 'id', 'it', 'ja', 'ko',
+  'nl', 'pl', 'pt', 'ru', 'th', 'tr', 'uk', 'ur', 'vi', 'zh', 'zh-Hant'
+];
+
+// Normalized name -> alpha-2 code, built on first lookup
+let countryNameIndex = null;
+
+// Lowercase, strip accents and punctuation so "Türkiye", "TURKIYE" and
+// "Côte d’Ivoire" match their table entries
+function normalizeCountryName(value) {
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`.]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+// Flag emoji from an alpha-2 code, via regional indicator symbols
+function getFlagEmoji(code) {
+  return String.fromCodePoint(...code.toUpperCase().split('').map(char => 0x1F1E6 + char.charCodeAt(0) - 65));
+}
+
+function buildCountryNameIndex() {
+  const index = new Map();
+  const addName = (name, code) => {
+    const key = normalizeCountryName(name);
+    if (key && !index.has(key)) {
+      index.set(key, code);
+    }
+  };
+
+  for (const [code, [name]] of Object.entries(COUNTRIES)) {
+    addName(name, code);
+    addName(code, code);
+  }
+  for (const [alias, code] of Object.entries(COUNTRY_ALIASES)) {
+    addName(alias, code);
   }
-  
-  // Try case-insensitive match
-  const normalized = countryName.trim();
-  for (const [country, flag] of Object.entries(COUNTRY_FLAGS)) {
-    if (country.toLowerCase() === normalized.toLowerCase()) {
-      return flag;
+
+  // Localized names, for when the X UI is in another language
+  if (typeof Intl !== 'undefined' && Intl.DisplayNames) {
+    const pageLanguage = typeof document !== 'undefined' ? document.documentElement.lang : '';
+    const languages = pageLanguage ? [pageLanguage, ...LOCALIZED_NAME_LANGUAGES] : LOCALIZED_NAME_LANGUAGES;
+    for (const language of languages) {
+      try {
+        const displayNames = new Intl.DisplayNames([language], { type: 'region', fallback: 'none' });
+        for (const code of Object.keys(COUNTRIES)) {
+          const name = displayNames.of(code);
+          if (name) {
+            addName(name, code);
+          }
+        }
+      } catch (error) {
+        // Language not supported by this browser
+      }
     }
   }
-  
+  return index;
+}
+
+// Structured country record for an alpha-2 code
+function getCountryByCode(code) {
+  const upperCode = code?.toUpperCase();
+  const country = COUNTRIES[upperCode];
+  if (!country) return null;
+  return { code: upperCode, name: country[0], region: country[1], flag: getFlagEmoji(upperCode) };
+}
+
+function lookupNormalized(key) {
+  if (countryNameIndex.has(key)) {
+    return getCountryByCode(countryNameIndex.get(key));
+  }
+  const region = REGIONS[key];
+  if (region) {
+    return {
+      code: region.code || null,
+      name: region.name,
+      region: region.region,
+      flag: region.code ? getFlagEmoji(region.code) : null
+    };
+  }
   return null;
 }
 
+// Map a location string to { code, name, region, flag }. Regions have a null
+// code and flag (except Europe/EU). Returns null if nothing matches.
+function lookupCountry(value) {
+  if (!value || typeof value !== 'string') return null;
+  if (!countryNameIndex) {
+    countryNameIndex = buildCountryNameIndex();
+  }
+
+  const key = normalizeCountryName(value);
+  if (!key) return null;
+
+  const match = lookupNormalized(key);
+  if (match) return match;
+
+  // "Myanmar (Burma)" -> "Myanmar"
+  const withoutParentheses = normalizeCountryName(value.replace(/\([^)]*\)/g, ' '));
+  if (withoutParentheses && withoutParentheses !== key) {
+    const parenthesesMatch = lookupNormalized(withoutParentheses);
+    if (parenthesesMatch) return parenthesesMatch;
+  }
+
+  // "Tokyo, Japan" -> "Japan". A bare two-letter code after a comma is more
+  // likely a state or province ("Boston, MA" is not Morocco), so only the
+  // aliases like "UK" count there.
+  if (value.includes(',')) {
+    const lastPart = normalizeCountryName(value.slice(value.lastIndexOf(',') + 1));
+    if (lastPart && (lastPart.length > 2 || COUNTRY_ALIASES[lastPart])) {
+      return lookupNormalized(lastPart);
+    }
+  }
+
+  return null;
+}
+
+function getCountryFlag(countryName) {
+  return lookupCountry(countryName)?.flag || null;
+}
@@ -0,0 +1,149 @@
+// Country-based filtering - hide, dim or collapse tweets whose author's location
+// matches a rule. Everything is done with attributes and inserted bars, so
+// clearing the rules or disabling the extension puts every tweet back.
+// Rules (the filter_rules setting) look like { action: 'collapse', match: 'in' | 'not-in', countries: ['Russia', 'Asia'] }
+let filterRules = [];
+
+// Author, location and country behind each tweet whose lookup finished, so
+// rules can be re-applied without new lookups
+const tweetLocations = new WeakMap();
+
+// Add filter styles if not already added
+function ensureFilterStyles() {
+  if (document.getElementById('twitter-flag-filter-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'twitter-flag-filter-style';
+  style.textContent = `
+    article[data-twitter-flag-filter="hide"],
+    article[data-twitter-flag-filter="collapse"] {
+      display: none !important;
+    }
+    article[data-twitter-flag-filter="dim"] {
+      opacity: 0.35;
+      transition: opacity 0.2s;
+    }
+    article[data-twitter-flag-filter="dim"]:hover {
+      opacity: 1;
+    }
+    .twitter-flag-collapsed {
+      display: block;
+      width: 100%;
+      padding: 12px 16px;
+      border: none;
+      border-bottom: 1px solid rgba(128, 128, 128, 0.25);
+      background: transparent;
+      color: rgb(29, 155, 240);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      text-align: left;
+      cursor: pointer;
+    }
+    .twitter-flag-collapsed:hover {
+      background: rgba(29, 155, 240, 0.1);
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// Rules still being written in the options page have no countries yet
+function setFilterRules(rules) {
+  filterRules = rules.filter(rule => isValidFilterRule(rule) && rule.countries.length > 0);
+  console.log('Filter rules:', filterRules);
+  if (extensionEnabled) {
+    reapplyFilters();
+  }
+}
+
+// Does a rule target ("Russia", "RU", "Asia", "East Asia") cover this country?
+// Continents match every country in them, other regions only match themselves.
+function countryMatchesTarget(country, target) {
+  const targetCountry = lookupCountry(target);
+  if (!targetCountry) return false;
+  if (targetCountry.code && targetCountry.code === country.code) return true;
+  if (targetCountry.name === targetCountry.region) return country.region === targetCountry.region;
+  return targetCountry.name === country.name;
+}
+
+// First rule that applies to a country wins. Accounts with no location or
+// one we can't recognise (country is null) are in no list, so only "not in"
+// rules apply to them.
+function findFilterAction(country) {
+  for (const rule of filterRules) {
+    const listed = Boolean(country) && rule.countries.some(target => countryMatchesTarget(country, target));
+    if (rule.match === 'in' ? listed : !listed) {
+      return rule.action;
+    }
+  }
+  return null;
+}
+
+// The "Show tweet" bar of a collapsed tweet, or null
+function getCollapsedBar(article) {
+  const bar = article.previousElementSibling;
+  return bar?.classList.contains('twitter-flag-collapsed') ? bar : null;
+}
+
+// Undo whatever a filter did to a tweet
+function clearTweetFilter(article) {
+  delete article.dataset.twitterFlagFilter;
+  getCollapsedBar(article)?.remove();
+}
+
+function createCollapsedBar(article, country) {
+  const bar = document.createElement('button');
+  bar.type = 'button';
+  bar.className = 'twitter-flag-collapsed';
+  if (country) {
+    bar.textContent = `Show tweet from ${country.flag || country.name} account`;
+    bar.setAttribute('aria-label', `Show tweet from account based in ${country.name}`);
+  } else {
+    bar.textContent = 'Show tweet from account with unknown location';
+  }
+  bar.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation(); // Don't let X open the tweet
+    article.dataset.twitterFlagRevealed = 'true';
+    clearTweetFilter(article);
+  });
+  return bar;
+}
+
+// Apply the rules to one tweet. Tweets the user expanded stay expanded.
+function applyTweetFilter(article) {
+  const info = tweetLocations.get(article);
+  const action = info && article.dataset.twitterFlagRevealed !== 'true' ? findFilterAction(info.country) : null;
+  if ((article.dataset.twitterFlagFilter || null) === action) return;
+
+  clearTweetFilter(article);
+  if (!action) return;
+
+  ensureFilterStyles();
+  if (action === 'collapse') {
+    article.parentNode?.insertBefore(createCollapsedBar(article, info.country), article);
+  }
+  article.dataset.twitterFlagFilter = action;
+  console.log(`Filter: ${action} tweet from ${info.screenName} (${info.country?.name || info.location || 'no location'})`);
+}
+
+// Called once a tweet author's location resolves (location is null for
+// accounts without one)
+function filterTweet(article, screenName, location, country) {
+  tweetLocations.set(article, { screenName, location, country });
+  applyTweetFilter(article);
+}
+
+function getTweetLocation(article) {
+  return tweetLocations.get(article) || null;
+}
+
+// Rules changed - re-evaluate every tweet we know the location of
+function reapplyFilters() {
+  queryAllLayout(document, 'tweet').forEach(applyTweetFilter);
+}
+
+// Put every filtered tweet back (extension disabled)
+function clearAllFilters() {
+  document.querySelectorAll('article[data-twitter-flag-filter]').forEach(clearTweetFilter);
+  document.querySelectorAll('.twitter-flag-collapsed').forEach(bar => bar.remove());
+}
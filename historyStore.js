@@ -0,0 +1,159 @@
+// Location history - the distinct locations each account has reported, with
+// when we first and last saw each one. Kept in its own IndexedDB database like
+// the overrides, so a change is still noticed after the cache entry expired,
+// was evicted or the cache was cleared.
+const HISTORY_DB_NAME = 'twitter_location_history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'history';
+const MAX_HISTORY_LOCATIONS = 10; // Per account, oldest dropped first
+const MAX_HISTORY_ENTRIES = 50000;
+const HISTORY_EVICTION_CHECK_INTERVAL = 200; // Check record count every 200 writes
+
+// Accounts already in the cache are added to the history once, so changes
+// show up from the first lookup after updating
+const HISTORY_SEEDED_KEY = 'history_seeded';
+
+let historyDbPromise = null;
+let historyWritesSinceEvictionCheck = 0;
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'handle' });
+          store.createIndex('lastSeen', 'lastSeen');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        historyDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return historyDbPromise;
+}
+
+// X formats account_based_in consistently, but don't count case or spacing as a change
+function isSameLocation(a, b) {
+  return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// { handle, screenName, locations: [{ location, firstSeen, lastSeen }], changedAt, lastSeen }
+// - locations oldest first, the last one is the latest we saw
+async function getLocationHistory(screenName) {
+  const db = await openHistoryDb();
+  const history = await requestToPromise(
+    db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).get(normalizeHandle(screenName))
+  );
+  return history || null;
+}
+
+// The locations an account reported before, other than this one, newest first
+function getEarlierLocations(history, location) {
+  if (!history || !location) return [];
+  return history.locations
+    .filter(item => !isSameLocation(item.location, location))
+    .reverse();
+}
+
+// Add a location we just saw to the account's history. Resolves the location
+// it reported before if this is a change, otherwise null.
+async function recordLocationHistory(screenName, location, seenAt = Date.now()) {
+  if (!location) return null;
+
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = transaction.objectStore(HISTORY_STORE);
+  const handle = normalizeHandle(screenName);
+  let previousLocation = null;
+
+  store.get(handle).onsuccess = (event) => {
+    const history = event.target.result || { handle, screenName, locations: [], changedAt: null, lastSeen: 0 };
+    const latest = history.locations[history.locations.length - 1];
+    if (latest && isSameLocation(latest.location, location)) {
+      latest.lastSeen = Math.max(latest.lastSeen, seenAt);
+    } else {
+      previousLocation = latest?.location || null;
+      history.locations.push({ location, firstSeen: seenAt, lastSeen: seenAt });
+      history.locations = history.locations.slice(-MAX_HISTORY_LOCATIONS);
+      if (previousLocation) {
+        history.changedAt = seenAt;
+      }
+    }
+    history.screenName = screenName;
+    history.lastSeen = Math.max(history.lastSeen, seenAt);
+    store.put(history);
+  };
+  await transactionDone(transaction);
+
+  if (previousLocation) {
+    console.log(`Location for ${screenName} changed from ${previousLocation} to ${location}`);
+  }
+
+  historyWritesSinceEvictionCheck++;
+  if (historyWritesSinceEvictionCheck >= HISTORY_EVICTION_CHECK_INTERVAL) {
+    historyWritesSinceEvictionCheck = 0;
+    evictLocationHistory().catch(error => console.error('Error evicting location history:', error));
+  }
+  return previousLocation;
+}
+
+// Drop the least recently seen accounts that never changed location until
+// we're under maxEntries - accounts with a change are the ones worth keeping
+async function evictLocationHistory(maxEntries = MAX_HISTORY_ENTRIES) {
+  const db = await openHistoryDb();
+  const count = await requestToPromise(
+    db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).count()
+  );
+  if (count <= maxEntries) {
+    return 0;
+  }
+
+  let toDelete = count - maxEntries + EVICTION_BATCH;
+  let deleted = 0;
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const cursorRequest = transaction.objectStore(HISTORY_STORE).index('lastSeen').openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (cursor && toDelete > 0) {
+      if (cursor.value.locations.length <= 1) {
+        cursor.delete();
+        toDelete--;
+        deleted++;
+      }
+      cursor.continue();
+    }
+  };
+  await transactionDone(transaction);
+  console.log(`Evicted ${deleted} location history records`);
+  return deleted;
+}
+
+// Start each cached account's history with the location we already have
+async function seedLocationHistory() {
+  const result = await chrome.storage.local.get(HISTORY_SEEDED_KEY);
+  if (result[HISTORY_SEEDED_KEY]) {
+    return;
+  }
+
+  const entries = (await getAllCacheEntries()).filter(entry => entry.location);
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = transaction.objectStore(HISTORY_STORE);
+  for (const entry of entries) {
+    store.put({
+      handle: entry.handle,
+      screenName: entry.screenName,
+      locations: [{ location: entry.location, firstSeen: entry.fetchedAt, lastSeen: entry.fetchedAt }],
+      changedAt: null,
+      lastSeen: entry.fetchedAt
+    });
+  }
+  await transactionDone(transaction);
+  await chrome.storage.local.set({ [HISTORY_SEEDED_KEY]: true });
+  console.log(`Started location history for ${entries.length} cached accounts`);
+}
@@ -0,0 +1,444 @@
+// Hover card with full location details for each flag badge
+const HOVER_CARD_SHOW_DELAY = 300;
+const HOVER_CARD_HIDE_DELAY = 250;
+
+// Details behind each badge, set by addFlagToUsername
+const badgeDetails = new WeakMap();
+
+let hoverCard = null;
+let hoverCardBadge = null;
+let hoverCardShowTimeout = null;
+let hoverCardHideTimeout = null;
+
+function registerBadgeDetails(badge, details) {
+  badgeDetails.set(badge, details);
+}
+
+function getBadgeDetails(badge) {
+  return badgeDetails.get(badge) || null;
+}
+
+// Label a badge for screen readers and make it reachable by keyboard
+function labelBadge(badge, details) {
+  const name = details.country?.name || details.location;
+  const manual = details.source === 'manual' ? ' (set manually)' : '';
+  const changed = details.earlierLocations?.length > 0 ? ', location changed' : '';
+  badge.setAttribute('role', 'img');
+  badge.setAttribute('aria-label', `@${details.screenName} is based in ${name}${manual}${changed}`);
+  badge.tabIndex = 0;
+}
+
+// Add hover card styles if not already added
+function ensureHoverCardStyles() {
+  if (document.getElementById('twitter-flag-hover-card-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'twitter-flag-hover-card-style';
+  style.textContent = `
+    .twitter-flag-card {
+      position: fixed;
+      z-index: 2147483647;
+      width: 280px;
+      padding: 12px 16px;
+      border-radius: 12px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      line-height: 1.4;
+      background: #ffffff;
+      color: #0f1419;
+      box-shadow: rgba(101, 119, 134, 0.2) 0 0 15px, rgba(101, 119, 134, 0.15) 0 0 3px 1px;
+    }
+    .twitter-flag-card.dark {
+      background: #000000;
+      color: #e7e9ea;
+      box-shadow: rgba(255, 255, 255, 0.2) 0 0 15px, rgba(255, 255, 255, 0.15) 0 0 3px 1px;
+    }
+    .twitter-flag-card-title {
+      font-weight: 700;
+      margin-bottom: 8px;
+    }
+    .twitter-flag-card-row {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 4px;
+    }
+    .twitter-flag-card-label {
+      flex: 0 0 72px;
+      color: #536471;
+    }
+    .twitter-flag-card.dark .twitter-flag-card-label {
+      color: #71767b;
+    }
+    .twitter-flag-card-value {
+      flex: 1;
+      overflow-wrap: anywhere;
+    }
+    .twitter-flag-card-actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      margin-top: 10px;
+    }
+    .twitter-flag-card button {
+      font: inherit;
+      font-weight: 600;
+      padding: 4px 12px;
+      border-radius: 9999px;
+      border: 1px solid #cfd9de;
+      background: transparent;
+      color: inherit;
+      cursor: pointer;
+    }
+    .twitter-flag-card.dark button {
+      border-color: #536471;
+    }
+    .twitter-flag-card button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+    .twitter-flag-card input {
+      flex: 1;
+      min-width: 0;
+      font: inherit;
+      padding: 4px 8px;
+      border-radius: 4px;
+      border: 1px solid #cfd9de;
+      background: transparent;
+      color: inherit;
+    }
+    .twitter-flag-card-form {
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      margin-top: 10px;
+    }
+    .twitter-flag-card-form .twitter-flag-card-actions {
+      margin-top: 0;
+    }
+    .twitter-flag-card-status {
+      margin-top: 6px;
+      color: #f4212e;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// X's dark and dim themes set a dark body background
+function isDarkTheme() {
+  const match = getComputedStyle(document.body).backgroundColor.match(/\d+/g);
+  if (!match) return false;
+  const [r, g, b] = match.map(Number);
+  return (0.299 * r + 0.587 * g + 0.114 * b) < 128;
+}
+
+function formatFetchedAt(timestamp) {
+  if (!timestamp) return 'Unknown';
+
+  const date = new Date(timestamp);
+  const days = Math.round((timestamp - Date.now()) / (24 * 60 * 60 * 1000));
+  const hours = Math.round((timestamp - Date.now()) / (60 * 60 * 1000));
+  const relative = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+  const ago = Math.abs(hours) < 24 ? relative.format(hours, 'hour') : relative.format(days, 'day');
+  return `${date.toLocaleString()} (${ago})`;
+}
+
+function formatSource(details) {
+  if (details.source === 'manual') return 'Set manually';
+  if (details.source === 'harvest') return 'Read from X\'s own page data';
+  return details.fromCache ? 'Cached lookup' : 'Live lookup';
+}
+
+function formatCountry(country) {
+  if (!country) return 'Not recognised';
+  const flag = country.flag ? `${country.flag} ` : '';
+  const code = country.code ? ` (${country.code})` : '';
+  return `${flag}${country.name}${code} · ${country.region}`;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString();
+}
+
+// Rows for the other about_profile fields we know about
+function createProfileRows(profile) {
+  if (!profile) return [];
+
+  const rows = [];
+  if (profile.usernameChanges !== null && profile.usernameChanges !== undefined) {
+    const last = profile.lastUsernameChangeAt ? ` (last ${formatDate(profile.lastUsernameChangeAt)})` : '';
+    rows.push(createCardRow('Renamed', `${profile.usernameChanges} times${last}`));
+  }
+  if (profile.createdAt || profile.createdCountry) {
+    const parts = [];
+    if (profile.createdAt) parts.push(formatDate(profile.createdAt));
+    if (profile.createdCountry) parts.push(`in ${profile.createdCountry}`);
+    rows.push(createCardRow('Created', parts.join(' ')));
+  }
+  if (profile.connection) {
+    rows.push(createCardRow('Connects', profile.connection.label));
+  }
+  if (profile.locationAccurate === false) {
+    rows.push(createCardRow('Accuracy', 'May be inaccurate (VPN or proxy)'));
+  }
+  return rows;
+}
+
+// One row per location the account reported before, newest first
+function createHistoryRows(earlierLocations) {
+  if (!earlierLocations?.length) return [];
+
+  return earlierLocations.map((item, index) => {
+    const seen = item.firstSeen === item.lastSeen
+      ? formatDate(item.firstSeen)
+      : `${formatDate(item.firstSeen)} – ${formatDate(item.lastSeen)}`;
+    return createCardRow(index === 0 ? 'Earlier' : '', `${item.location} (${seen})`);
+  });
+}
+
+function createCardRow(label, value) {
+  const row = document.createElement('div');
+  row.className = 'twitter-flag-card-row';
+  const labelElement = document.createElement('span');
+  labelElement.className = 'twitter-flag-card-label';
+  labelElement.textContent = label;
+  const valueElement = document.createElement('span');
+  valueElement.className = 'twitter-flag-card-value';
+  valueElement.textContent = value;
+  row.append(labelElement, valueElement);
+  return row;
+}
+
+function createCardButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Show an error line at the bottom of the card
+function setCardStatus(card, message) {
+  let status = card.querySelector('.twitter-flag-card-status');
+  if (!status) {
+    status = document.createElement('div');
+    status.className = 'twitter-flag-card-status';
+    card.appendChild(status);
+  }
+  status.textContent = message;
+}
+
+// Send a location update to the background - the badges redraw when it
+// broadcasts locationChanged
+async function requestLocationUpdate(card, message) {
+  card.querySelectorAll('button').forEach(button => { button.disabled = true; });
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    // A refresh that finds no location still succeeded - only a record
+    // without fetchedAt means the lookup failed
+    const failed = message.type === 'refreshLocation' ? !response?.fetchedAt : !response?.ok;
+    if (failed) {
+      const error = response?.error || 'Could not save, try again.';
+      setCardStatus(card, message.type === 'refreshLocation' ? 'Lookup failed, try again later.' : error);
+      card.querySelectorAll('button').forEach(button => { button.disabled = false; });
+      return;
+    }
+    hideHoverCard();
+  } catch (error) {
+    setCardStatus(card, 'Extension was reloaded, refresh the page.');
+  }
+}
+
+// Text input that keeps X's keyboard shortcuts out while typing
+function createCardInput(value, placeholder, label, onEnter) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value || '';
+  input.placeholder = placeholder;
+  input.setAttribute('aria-label', label);
+  input.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Enter') onEnter();
+    if (event.key === 'Escape') hideHoverCard();
+  });
+  return input;
+}
+
+// Swap the action buttons for an inline form to set the manual location and note
+function showOverrideForm(card, details) {
+  const manual = details.source === 'manual';
+  const save = () => {
+    requestLocationUpdate(card, {
+      type: 'setOverride',
+      screenName: details.screenName,
+      location: locationInput.value,
+      note: noteInput.value
+    });
+  };
+  const locationInput = createCardInput(
+    manual ? details.location : '',
+    manual ? 'Country or region' : `Country or region (X says ${details.location})`,
+    `Location for @${details.screenName}`,
+    save
+  );
+  const noteInput = createCardInput(details.note, 'Note', `Note for @${details.screenName}`, save);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'twitter-flag-card-actions';
+  buttons.append(createCardButton('Save', save), createCardButton('Cancel', hideHoverCard));
+
+  const form = document.createElement('div');
+  form.className = 'twitter-flag-card-form';
+  form.append(locationInput, noteInput, buttons);
+  card.querySelector('.twitter-flag-card-actions').replaceWith(form);
+  locationInput.focus();
+  locationInput.select();
+}
+
+function buildHoverCard(details) {
+  const card = document.createElement('div');
+  card.className = 'twitter-flag-card';
+  card.setAttribute('role', 'dialog');
+  card.setAttribute('aria-label', `Location details for @${details.screenName}`);
+  if (isDarkTheme()) {
+    card.classList.add('dark');
+  }
+
+  const title = document.createElement('div');
+  title.className = 'twitter-flag-card-title';
+  title.textContent = `@${details.screenName}`;
+
+  // Manual locations can't be refreshed, only edited or cleared
+  const manual = details.source === 'manual';
+  const actions = document.createElement('div');
+  actions.className = 'twitter-flag-card-actions';
+  if (!manual) {
+    actions.append(createCardButton('Refresh', () => {
+      requestLocationUpdate(card, { type: 'refreshLocation', screenName: details.screenName });
+    }));
+  }
+  actions.append(createCardButton(manual || details.note ? 'Edit' : 'Override or note', () => showOverrideForm(card, details)));
+  if (manual || details.note) {
+    actions.append(createCardButton(manual ? 'Use X\'s location' : 'Remove note', () => {
+      // Going back to X's location keeps the note
+      requestLocationUpdate(card, {
+        type: 'setOverride',
+        screenName: details.screenName,
+        location: null,
+        note: manual ? details.note : null
+      });
+    }));
+  }
+  actions.append(createCardButton(details.watched ? 'Unwatch' : 'Watch', () => {
+    requestLocationUpdate(card, { type: 'setWatched', screenName: details.screenName, watched: !details.watched });
+  }));
+
+  const rows = [
+    createCardRow('Based in', details.location),
+    createCardRow('Country', formatCountry(details.country))
+  ];
+  if (manual) {
+    rows.push(createCardRow('X says', details.apiLocation || 'Not looked up'));
+  }
+  if (details.note) {
+    rows.push(createCardRow('Note', details.note));
+  }
+  rows.push(...createHistoryRows(details.earlierLocations));
+  if (details.watched) {
+    rows.push(createCardRow('Watchlist', 'Re-checked in the background'));
+  }
+
+  card.append(
+    title,
+    ...rows,
+    ...createProfileRows(details.profile),
+    createCardRow(manual ? 'Set' : 'Fetched', formatFetchedAt(details.fetchedAt)),
+    createCardRow('Source', formatSource(details)),
+    actions
+  );
+
+  card.addEventListener('mouseenter', () => clearTimeout(hoverCardHideTimeout));
+  card.addEventListener('mouseleave', scheduleHideHoverCard);
+  return card;
+}
+
+// Place the card below the badge, or above it if there's no room
+function positionHoverCard(card, badge) {
+  const rect = badge.getBoundingClientRect();
+  const cardRect = card.getBoundingClientRect();
+  const margin = 8;
+
+  let top = rect.bottom + margin;
+  if (top + cardRect.height > window.innerHeight && rect.top - margin - cardRect.height > 0) {
+    top = rect.top - margin - cardRect.height;
+  }
+  const left = Math.min(Math.max(margin, rect.left), window.innerWidth - cardRect.width - margin);
+  card.style.top = `${top}px`;
+  card.style.left = `${left}px`;
+}
+
+function showHoverCard(badge) {
+  const details = getBadgeDetails(badge);
+  if (!details || !badge.isConnected) return;
+
+  hideHoverCard();
+  ensureHoverCardStyles();
+  hoverCard = buildHoverCard(details);
+  hoverCardBadge = badge;
+  document.body.appendChild(hoverCard);
+  positionHoverCard(hoverCard, badge);
+}
+
+function hideHoverCard() {
+  clearTimeout(hoverCardShowTimeout);
+  clearTimeout(hoverCardHideTimeout);
+  if (hoverCard) {
+    hoverCard.remove();
+  }
+  hoverCard = null;
+  hoverCardBadge = null;
+}
+
+function scheduleHideHoverCard() {
+  clearTimeout(hoverCardShowTimeout);
+  clearTimeout(hoverCardHideTimeout);
+  hoverCardHideTimeout = setTimeout(hideHoverCard, HOVER_CARD_HIDE_DELAY);
+}
+
+function scheduleShowHoverCard(badge) {
+  clearTimeout(hoverCardHideTimeout);
+  if (hoverCardBadge === badge) return;
+  clearTimeout(hoverCardShowTimeout);
+  hoverCardShowTimeout = setTimeout(() => showHoverCard(badge), HOVER_CARD_SHOW_DELAY);
+}
+
+// Delegated listeners, so badges added later get hover cards too
+function initHoverCards() {
+  document.addEventListener('mouseover', (event) => {
+    const badge = event.target.closest?.('[data-twitter-flag]');
+    if (badge) {
+      scheduleShowHoverCard(badge);
+    }
+  });
+  document.addEventListener('mouseout', (event) => {
+    const badge = event.target.closest?.('[data-twitter-flag]');
+    if (badge && !badge.contains(event.relatedTarget)) {
+      scheduleHideHoverCard();
+    }
+  });
+  document.addEventListener('focusin', (event) => {
+    const badge = event.target.closest?.('[data-twitter-flag]');
+    if (badge) {
+      showHoverCard(badge);
+    }
+  });
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && hoverCard) {
+      hideHoverCard();
+    }
+  });
+  window.addEventListener('scroll', () => {
+    if (hoverCard && !hoverCard.contains(document.activeElement)) {
+      hideHoverCard();
+    }
+  }, { passive: true });
+}
@@ -0,0 +1,122 @@
+// X's markup - selectors, excluded routes, badge insertion strategies - is
+// described in layout.json, so a redesign means editing that file rather than
+// the code. Each selector key lists fallbacks. Which one applies is settled
+// once for the whole page - the first that matches anywhere in it - and then
+// used for every subtree, so a small subtree can't fall through to a looser
+// fallback. Until a page has been checked only the first selector is used.
+const LAYOUT_CHECK_KEY = 'layout_check';
+const LAYOUT_CHECK_INTERVAL = 10000; // Self-check at most every 10 seconds
+
+let layout = null;
+let lastLayoutCheck = 0;
+let lastLayoutStatus = null;
+const settledSelectors = new Map(); // Selector key -> the selector in use
+
+async function loadLayout() {
+  try {
+    const response = await fetch(chrome.runtime.getURL('layout.json'));
+    layout = await response.json();
+    settledSelectors.clear();
+    console.log(`Loaded layout v${layout.version}`);
+  } catch (error) {
+    console.error('Error loading layout:', error);
+    layout = null;
+    reportLayoutStatus('error', 'layout.json could not be loaded');
+  }
+}
+
+function getLayoutSelectors(key) {
+  return layout?.selectors?.[key] || [];
+}
+
+// The selector settled for this page, or the primary one until then
+function getLayoutSelector(key) {
+  return settledSelectors.get(key) || getLayoutSelectors(key)[0] || null;
+}
+
+// Settle each key on the first of its selectors that matches anything on the
+// page. Keys with no match yet stay on their primary selector.
+function settleLayoutSelectors() {
+  for (const key of Object.keys(layout?.selectors || {})) {
+    if (settledSelectors.has(key)) continue;
+    const selector = getLayoutSelectors(key).find(candidate => document.querySelector(candidate));
+    if (selector) {
+      settledSelectors.set(key, selector);
+      if (selector !== getLayoutSelectors(key)[0]) {
+        console.warn(`Layout: using fallback selector for ${key}: ${selector}`);
+      }
+    }
+  }
+}
+
+function queryLayout(root, key) {
+  const selector = getLayoutSelector(key);
+  return selector ? root.querySelector(selector) : null;
+}
+
+function queryAllLayout(root, key) {
+  const selector = getLayoutSelector(key);
+  return selector ? Array.from(root.querySelectorAll(selector)) : [];
+}
+
+function matchesLayout(element, key) {
+  const selector = getLayoutSelector(key);
+  return Boolean(selector) && element.matches(selector);
+}
+
+function closestLayout(element, key) {
+  const selector = getLayoutSelector(key);
+  return selector ? element.closest(selector) : null;
+}
+
+// Top-level routes that look like usernames but aren't ("/home", "/i/...")
+function isExcludedRoute(name) {
+  return (layout?.excludedRoutes || []).includes(name);
+}
+
+function getAvatarTestIdPattern() {
+  return new RegExp(layout?.avatarTestIdPattern || '^UserAvatar-Container-([A-Za-z0-9_]{1,15})$');
+}
+
+function getHandleSectionSelector() {
+  return layout?.handleSection || 'div';
+}
+
+// Store the self-check result for the popup - only when it changes
+function reportLayoutStatus(status, detail = null) {
+  if (lastLayoutStatus === `${status}:${detail}`) return;
+  lastLayoutStatus = `${status}:${detail}`;
+
+  if (status !== 'ok') {
+    console.warn(`Layout ${status}: ${detail}`);
+  }
+  chrome.storage.local.set({
+    [LAYOUT_CHECK_KEY]: { status, detail, version: layout?.version || null, checkedAt: Date.now() }
+  }).catch(() => {});
+}
+
+// A page that clearly shows tweets (articles and timestamps in the main
+// column) where the required primary selectors find nothing means X changed
+// its markup - even if a fallback still matches. Such a page is also where
+// the selectors in use are settled.
+function runLayoutSelfCheck(force = false) {
+  if (!layout) return;
+  const now = Date.now();
+  if (!force && now - lastLayoutCheck < LAYOUT_CHECK_INTERVAL) return;
+  lastLayoutCheck = now;
+
+  const { pageHints = [], minHints = 1, required = [] } = layout.selfCheck || {};
+  const hints = pageHints.reduce((count, selector) => count + document.querySelectorAll(selector).length, 0);
+  if (hints < minHints) return; // Nothing tweet-like on this page, nothing to judge
+
+  settleLayoutSelectors();
+  const missing = required.filter(key => {
+    const primary = getLayoutSelectors(key)[0];
+    return !primary || !document.querySelector(primary);
+  });
+  if (missing.length > 0) {
+    reportLayoutStatus('unrecognised', `no match for ${missing.join(', ')}`);
+  } else {
+    reportLayoutStatus('ok');
+  }
+}
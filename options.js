@@ -0,0 +1,347 @@
+// Options page - every setting in settings.js, saved to chrome.storage.sync.
+// Open x.com tabs pick changes up live through chrome.storage.onChanged.
+const saveStatus = document.getElementById('saveStatus');
+const surfaceSettingsList = document.getElementById('surfaceSettings');
+const filterRulesList = document.getElementById('filterRules');
+const addRuleButton = document.getElementById('addRule');
+const resetButton = document.getElementById('resetSettings');
+const overridesList = document.getElementById('overrides');
+const watchlistList = document.getElementById('watchlist');
+const changesList = document.getElementById('locationChanges');
+const clearChangesButton = document.getElementById('clearChanges');
+
+// Inputs tied to one setting, by data-setting. data-scale converts stored
+// milliseconds to the seconds shown.
+const settingInputs = Array.from(document.querySelectorAll('[data-setting]'));
+
+// surfaceSettings is declared in surfaces.js
+let filterRules = [];
+let saveStatusTimeout = null;
+
+function showSaveStatus(message) {
+  saveStatus.textContent = message;
+  saveStatus.classList.add('visible');
+  clearTimeout(saveStatusTimeout);
+  saveStatusTimeout = setTimeout(() => saveStatus.classList.remove('visible'), 2000);
+}
+
+async function save(changes) {
+  try {
+    const saved = await saveSettings(changes);
+    showSaveStatus('Saved');
+    return saved;
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    showSaveStatus(`Could not save: ${error.message}`);
+    return null;
+  }
+}
+
+function setInputValue(input, value) {
+  const scale = Number(input.dataset.scale) || 1;
+  if (input.type === 'checkbox') {
+    input.checked = value;
+  } else if (input.type === 'number') {
+    input.value = value / scale;
+  } else {
+    input.value = value;
+  }
+}
+
+function bindSettingInput(input) {
+  const key = input.dataset.setting;
+  const schema = SETTINGS_SCHEMA[key];
+  const scale = Number(input.dataset.scale) || 1;
+  if (schema.type === 'number') {
+    input.min = schema.min / scale;
+    input.max = schema.max / scale;
+  }
+
+  input.addEventListener('change', async () => {
+    let value = input.value;
+    if (input.type === 'checkbox') {
+      value = input.checked;
+    } else if (input.type === 'number') {
+      value = Number(input.value) * scale;
+    }
+    const saved = await save({ [key]: value });
+    // Out of range numbers are clamped - show what was actually saved
+    if (saved && saved[key] !== value) {
+      setInputValue(input, saved[key]);
+      showSaveStatus(`Saved as ${saved[key] / scale} (allowed ${schema.min / scale}-${schema.max / scale})`);
+    }
+  });
+}
+
+// One checkbox per surface (tweets, DMs, notifications...)
+function renderSurfaceSettings() {
+  surfaceSettingsList.replaceChildren(...SURFACES.map(surface => {
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+    const label = document.createElement('label');
+    label.htmlFor = `surface-${surface.id}`;
+    label.textContent = surface.label;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `surface-${surface.id}`;
+    checkbox.checked = surfaceSettings[surface.id] ?? surface.defaultEnabled;
+    checkbox.addEventListener('change', () => {
+      surfaceSettings = { ...surfaceSettings, [surface.id]: checkbox.checked };
+      save({ surface_settings: surfaceSettings });
+    });
+    row.append(label, checkbox);
+    return row;
+  }));
+}
+
+// Country filter rules - e.g. collapse tweets from accounts based in one
+// country, or dim everyone not based in an allowlist
+function parseCountryList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function createSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  for (const [optionValue, label] of options) {
+    select.add(new Option(label, optionValue));
+  }
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function createFilterRuleElement(rule, index) {
+  const element = document.createElement('div');
+  element.className = 'filter-rule';
+
+  const row = document.createElement('div');
+  row.className = 'filter-rule-row';
+  const actionSelect = createSelect(
+    [['collapse', 'Collapse'], ['dim', 'Dim'], ['hide', 'Hide']],
+    rule.action,
+    (value) => { rule.action = value; saveFilterRules(); }
+  );
+  const matchSelect = createSelect(
+    [['in', 'tweets from accounts based in'], ['not-in', 'tweets from accounts not based in']],
+    rule.match,
+    (value) => { rule.match = value; saveFilterRules(); }
+  );
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'remove-rule';
+  removeButton.textContent = '×';
+  removeButton.title = 'Remove rule';
+  removeButton.addEventListener('click', () => {
+    filterRules.splice(index, 1);
+    renderFilterRules();
+    saveFilterRules();
+  });
+  row.append(actionSelect, matchSelect, removeButton);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Countries or regions, e.g. Russia, Asia';
+  input.value = rule.countries.join(', ');
+  const hint = document.createElement('div');
+  hint.className = 'filter-rule-hint';
+
+  // Point out names we can't match to a country or region
+  const checkCountries = () => {
+    const unknown = rule.countries.filter(country => !lookupCountry(country));
+    input.classList.toggle('invalid', unknown.length > 0);
+    hint.textContent = unknown.length > 0 ? `Not recognised: ${unknown.join(', ')}` : '';
+  };
+  input.addEventListener('change', () => {
+    rule.countries = parseCountryList(input.value);
+    checkCountries();
+    saveFilterRules();
+  });
+  checkCountries();
+
+  element.append(row, input, hint);
+  return element;
+}
+
+function renderFilterRules() {
+  filterRulesList.replaceChildren(...filterRules.map(createFilterRuleElement));
+}
+
+function saveFilterRules() {
+  save({ filter_rules: filterRules });
+}
+
+addRuleButton.addEventListener('click', () => {
+  filterRules.push({ action: 'collapse', match: 'in', countries: [] });
+  renderFilterRules();
+  filterRulesList.lastElementChild?.querySelector('input')?.focus();
+});
+
+// Manual locations and notes, kept by the background worker
+function createOverrideElement(override) {
+  const row = document.createElement('div');
+  row.className = 'override-row';
+  const handle = document.createElement('span');
+  handle.className = 'handle';
+  handle.textContent = `@${override.screenName}`;
+  const location = document.createElement('span');
+  location.textContent = override.location ? `✎ ${override.location}` : '';
+  const note = document.createElement('span');
+  note.className = 'note';
+  note.textContent = override.note || '';
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'remove-rule';
+  removeButton.textContent = '×';
+  removeButton.title = 'Remove override and note';
+  removeButton.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'setOverride', screenName: override.screenName, location: null, note: null });
+      if (!response?.ok) {
+        throw new Error(response?.error || 'no response');
+      }
+      showSaveStatus(`Removed @${override.screenName}`);
+      renderOverrides();
+    } catch (error) {
+      console.error('Error removing override:', error);
+      showSaveStatus(`Could not remove @${override.screenName}: ${error.message}`);
+    }
+  });
+  row.append(handle, location, note, removeButton);
+  return row;
+}
+
+async function renderOverrides() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'listOverrides' });
+    const overrides = (response?.overrides || []).sort((a, b) => b.updatedAt - a.updatedAt);
+    if (overrides.length === 0) {
+      overridesList.textContent = 'None yet.';
+      return;
+    }
+    overridesList.replaceChildren(...overrides.map(createOverrideElement));
+  } catch (error) {
+    console.error('Error loading overrides:', error);
+    overridesList.textContent = 'Could not load overrides.';
+  }
+}
+
+// Watched accounts, most recently added first
+function createWatchlistElement(entry) {
+  const row = document.createElement('div');
+  row.className = 'override-row';
+  const handle = document.createElement('span');
+  handle.className = 'handle';
+  handle.textContent = `@${entry.screenName}`;
+  const checked = document.createElement('span');
+  checked.className = 'note';
+  checked.textContent = entry.lastCheckedAt
+    ? `Checked ${new Date(entry.lastCheckedAt).toLocaleString()}`
+    : 'Not checked yet';
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'remove-rule';
+  removeButton.textContent = '×';
+  removeButton.title = 'Stop watching';
+  removeButton.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'setWatched', screenName: entry.screenName, watched: false });
+      if (!response?.ok) {
+        throw new Error(response?.error || 'no response');
+      }
+      showSaveStatus(`Stopped watching @${entry.screenName}`);
+      renderWatchlist();
+    } catch (error) {
+      console.error('Error removing watched account:', error);
+      showSaveStatus(`Could not stop watching @${entry.screenName}: ${error.message}`);
+    }
+  });
+  row.append(handle, checked, removeButton);
+  return row;
+}
+
+async function renderWatchlist() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'listWatchlist' });
+    const watchlist = (response?.watchlist || []).sort((a, b) => b.addedAt - a.addedAt);
+    if (watchlist.length === 0) {
+      watchlistList.textContent = 'No accounts watched yet.';
+      return;
+    }
+    watchlistList.replaceChildren(...watchlist.map(createWatchlistElement));
+  } catch (error) {
+    console.error('Error loading watchlist:', error);
+    watchlistList.textContent = 'Could not load the watchlist.';
+  }
+}
+
+// Location changes seen for watched accounts, newest first
+function createChangeElement(change) {
+  const row = document.createElement('div');
+  row.className = 'override-row';
+  const handle = document.createElement('span');
+  handle.className = 'handle';
+  handle.textContent = `@${change.screenName}`;
+  const locations = document.createElement('span');
+  locations.textContent = `${change.from} → ${change.to}`;
+  const date = document.createElement('span');
+  date.className = 'note';
+  date.textContent = new Date(change.changedAt).toLocaleString();
+  row.append(handle, locations, date);
+  return row;
+}
+
+// type is listLocationChanges, or clearLocationChanges to empty the log
+async function renderLocationChanges(type = 'listLocationChanges') {
+  try {
+    const response = await chrome.runtime.sendMessage({ type });
+    const changes = response?.changes || [];
+    if (changes.length === 0) {
+      changesList.textContent = 'No changes seen yet.';
+      return;
+    }
+    changesList.replaceChildren(...changes.map(createChangeElement));
+  } catch (error) {
+    console.error('Error loading location changes:', error);
+    changesList.textContent = 'Could not load the change log.';
+  }
+}
+
+clearChangesButton.addEventListener('click', () => {
+  if (!confirm('Clear the log of location changes?')) return;
+  renderLocationChanges('clearLocationChanges');
+});
+
+function render(settings) {
+  for (const input of settingInputs) {
+    if (settings[input.dataset.setting] !== undefined) {
+      setInputValue(input, settings[input.dataset.setting]);
+    }
+  }
+  if (settings.surface_settings !== undefined) {
+    surfaceSettings = settings.surface_settings;
+    renderSurfaceSettings();
+  }
+  // Don't re-render rules while one is being edited here
+  if (settings.filter_rules !== undefined && !filterRulesList.contains(document.activeElement)) {
+    filterRules = settings.filter_rules;
+    renderFilterRules();
+  }
+}
+
+resetButton.addEventListener('click', async () => {
+  if (!confirm('Restore every setting to its default? Filter rules will be removed.')) return;
+  const defaults = Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, schema]) => [key, schema.default])
+  );
+  await save(defaults);
+  render(defaults);
+});
+
+settingInputs.forEach(bindSettingInput);
+loadSettings().then(render);
+renderOverrides();
+renderWatchlist();
+renderLocationChanges();
+
+// Keep in sync with changes made in the popup or another window
+onSettingsChanged(render);
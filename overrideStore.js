@@ -0,0 +1,74 @@
+// Manual location overrides and per-account notes. They live in their own
+// IndexedDB database, so cache expiry, eviction and clearing never touch them,
+// and an override always wins over the location the API reports.
+const OVERRIDE_DB_NAME = 'twitter_location_overrides';
+const OVERRIDE_DB_VERSION = 1;
+const OVERRIDE_STORE = 'overrides';
+const MAX_OVERRIDE_LENGTH = 100;
+const MAX_NOTE_LENGTH = 280;
+
+let overrideDbPromise = null;
+
+function openOverrideDb() {
+  if (!overrideDbPromise) {
+    overrideDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OVERRIDE_DB_NAME, OVERRIDE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OVERRIDE_STORE)) {
+          db.createObjectStore(OVERRIDE_STORE, { keyPath: 'handle' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        overrideDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return overrideDbPromise;
+}
+
+// Trimmed and length-limited, or null if empty
+function cleanOverrideText(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().slice(0, maxLength);
+  return text || null;
+}
+
+// { handle, screenName, location, note, updatedAt } - location or note may be null
+async function getOverride(screenName) {
+  const db = await openOverrideDb();
+  const override = await requestToPromise(
+    db.transaction(OVERRIDE_STORE).objectStore(OVERRIDE_STORE).get(normalizeHandle(screenName))
+  );
+  return override || null;
+}
+
+async function getAllOverrides() {
+  const db = await openOverrideDb();
+  return requestToPromise(db.transaction(OVERRIDE_STORE).objectStore(OVERRIDE_STORE).getAll());
+}
+
+// Set an account's override and note. Empty values clear them, and clearing
+// both deletes the record. Resolves the saved record, or null if deleted.
+async function putOverride(screenName, location, note) {
+  const override = {
+    handle: normalizeHandle(screenName),
+    screenName,
+    location: cleanOverrideText(location, MAX_OVERRIDE_LENGTH),
+    note: cleanOverrideText(note, MAX_NOTE_LENGTH),
+    updatedAt: Date.now()
+  };
+
+  const db = await openOverrideDb();
+  const transaction = db.transaction(OVERRIDE_STORE, 'readwrite');
+  const store = transaction.objectStore(OVERRIDE_STORE);
+  if (override.location || override.note) {
+    store.put(override);
+  } else {
+    store.delete(override.handle);
+  }
+  await transactionDone(transaction);
+  return override.location || override.note ? override : null;
+}
@@ -0,0 +1,15 @@
+// Private channel to the page script. pageScript.js runs in the page's own
+// world and both scripts run at document_start, before any of X's code, so
+// the port is handed over before a page script could be listening. The page
+// script's capturing listener is the first on the window and stops the
+// handshake reaching any listener added later. The nonce only travels with
+// the handshake, never through the DOM.
+const CHANNEL_PROTOCOL = 'twitter-flag/1';
+const channelNonce = crypto.randomUUID();
+const pageChannel = new MessageChannel();
+
+window.postMessage(
+  { type: '__twitterFlagConnect', protocol: CHANNEL_PROTOCOL, nonce: channelNonce },
+  window.location.origin,
+  [pageChannel.port2]
+);
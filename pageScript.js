@@ -1,5 +1,52 @@
-// This script runs in the page context to access cookies and make API calls
+// This script runs in the page context to access cookies and make API calls.
+// It's a MAIN world content script run at document_start, before any of X's code.
 (function() {
+  // Private channel to the content script. pageChannel.js posts us a
+  // MessagePort and per-session nonce as soon as the page starts; we accept
+  // the first handshake only and keep it from reaching any other listener.
+  const CHANNEL_PROTOCOL = 'twitter-flag/1';
+  let channelNonce = null;
+  let channelPort = null;
+  const pendingEvents = []; // Events raised before the port arrived
+  const MAX_PENDING_EVENTS = 50; // The newest are kept if the port never arrives
+  
+  // The page's code runs after us and could patch these to read or block
+  // our messages - keep the originals
+  const postToPort = MessagePort.prototype.postMessage;
+  const startPort = MessagePort.prototype.start;
+  const addListener = EventTarget.prototype.addEventListener;
+  const stopEvent = Event.prototype.stopImmediatePropagation;
+  
+  // Send a typed envelope to the content script
+  function postEnvelope(kind, name, payload, id) {
+    const envelope = { protocol: CHANNEL_PROTOCOL, nonce: channelNonce, kind, name, id, payload };
+    if (channelPort) {
+      postToPort.call(channelPort, envelope);
+    } else if (kind === 'event') {
+      pendingEvents.push(envelope);
+      if (pendingEvents.length > MAX_PENDING_EVENTS) {
+        pendingEvents.shift();
+      }
+    }
+  }
+  
+  function sendEvent(name, payload) {
+    postEnvelope('event', name, payload);
+  }
+  
+  // Only envelopes carrying our nonce and a known shape are accepted
+  function isValidEnvelope(message) {
+    return !!message &&
+      typeof message === 'object' &&
+      message.protocol === CHANNEL_PROTOCOL &&
+      message.nonce === channelNonce &&
+      message.kind === 'request' &&
+      typeof message.name === 'string' &&
+      message.id !== undefined &&
+      message.payload !== null &&
+      typeof message.payload === 'object';
+  }
+  
   // Store headers from Twitter's own API calls
   let twitterHeaders = null;
   let headersReady = false;
@@ -26,21 +73,222 @@
     console.log('Captured Twitter API headers:', Object.keys(headerObj));
   }
   
+  // Known places the user object has lived in AboutAccountQuery responses
+  const USER_RESULT_PATHS = [
+    ['data', 'user_result_by_screen_name', 'result'],
+    ['data', 'user_result', 'result'],
+    ['data', 'user', 'result']
+  ];
+  
+  // Known places the location has lived inside a user object
+  const LOCATION_PATHS = [
+    ['about_profile', 'account_based_in'],
+    ['about_profile', 'based_in'],
+    ['about_profile', 'account_location'],
+    ['legacy', 'account_based_in']
+  ];
+  
+  function getPath(object, path) {
+    return path.reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+  
+  // Find an account_based_in field anywhere under node (last resort)
+  function findLocationField(node, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 10) return null;
+    if (typeof node.account_based_in === 'string' && node.account_based_in) {
+      return node.account_based_in;
+    }
+    for (const key in node) {
+      const found = findLocationField(node[key], depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+  
+  // Read the location from a user object, trying each known path
+  function extractLocation(userResult) {
+    if (!userResult || typeof userResult !== 'object') return null;
+    for (const path of LOCATION_PATHS) {
+      const value = getPath(userResult, path);
+      if (typeof value === 'string' && value) {
+        return value;
+      }
+    }
+    return null;
+  }
+  
+  // Find the user object in an AboutAccountQuery response
+  function extractUserResult(data) {
+    for (const path of USER_RESULT_PATHS) {
+      const result = getPath(data, path);
+      if (result && typeof result === 'object') {
+        return result;
+      }
+    }
+    return null;
+  }
+  
+  // First non-empty value among several field names - X renames these fields
+  function firstValue(object, keys) {
+    if (!object) return null;
+    for (const key of keys) {
+      const value = object[key];
+      if (value !== undefined && value !== null && value !== '') {
+        return value;
+      }
+    }
+    return null;
+  }
+  
+  function toTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    const number = Number(value);
+    if (!Number.isNaN(number)) return number;
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+  
+  // How the account connects, from about_profile.source ("United States App
+  // Store", "Android App", "Web")
+  function parseConnection(source) {
+    if (typeof source !== 'string' || !source) return null;
+    let type = 'other';
+    if (/app store/i.test(source)) type = 'app-store';
+    else if (/android|google play/i.test(source)) type = 'android';
+    else if (/web/i.test(source)) type = 'web';
+    const regionMatch = source.match(/^(.+?)\s+(app store|google play)/i);
+    return { type, region: regionMatch ? regionMatch[1] : null, label: source };
+  }
+  
+  // Everything else AboutAccountQuery tells us about an account
+  function extractProfile(userResult) {
+    if (!userResult || typeof userResult !== 'object') return null;
+    const about = userResult.about_profile || {};
+    const usernameChanges = about.username_changes || {};
+    const changeCount = Number(firstValue(usernameChanges, ['count', 'changes_count']));
+    const locationAccurate = firstValue(about, ['location_accurate', 'is_location_accurate']);
+    
+    return {
+      usernameChanges: Number.isNaN(changeCount) ? null : changeCount,
+      lastUsernameChangeAt: toTimestamp(firstValue(usernameChanges, ['last_changed_at_msec', 'last_changed_at'])),
+      createdCountry: firstValue(about, ['created_country', 'account_created_in', 'created_in']),
+      createdAt: toTimestamp(firstValue(userResult.core, ['created_at']) || firstValue(userResult.legacy, ['created_at'])),
+      locationAccurate: typeof locationAccurate === 'boolean' ? locationAccurate : null,
+      connection: parseConnection(firstValue(about, ['source', 'connected_via']))
+    };
+  }
+  
+  // Find every user object in a GraphQL response that carries a location
+  function collectLocations(node, results, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 60) return;
+    
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        collectLocations(item, results, depth + 1);
+      }
+      return;
+    }
+    
+    const location = extractLocation(node);
+    if (location) {
+      const screenName = node.core?.screen_name || node.legacy?.screen_name;
+      if (screenName) {
+        results.set(screenName, { location, profile: extractProfile(node) });
+      }
+    }
+    
+    for (const key in node) {
+      const value = node[key];
+      if (value && typeof value === 'object') {
+        collectLocations(value, results, depth + 1);
+      }
+    }
+  }
+  
+  // Pull locations out of a response Twitter loaded anyway (timelines,
+  // UserByScreenName, hovercards, search) and hand them to the cache
+  function harvestLocations(data) {
+    try {
+      const results = new Map();
+      collectLocations(data, results);
+      if (results.size === 0) return;
+      
+      const locations = Array.from(results, ([screenName, record]) => ({ screenName, ...record }));
+      console.log(`Harvested ${locations.length} locations from Twitter response`);
+      sendEvent('harvestedLocations', { locations });
+    } catch (error) {
+      console.log('Failed to harvest locations:', error);
+    }
+  }
+  
+  // Our own AboutAccountQuery responses are handled by the fetch listener below
+  function isHarvestableUrl(url) {
+    return typeof url === 'string' &&
+      url.includes('/i/api/graphql') &&
+      !url.includes('/AboutAccountQuery');
+  }
+  
+  // Twitter's own AboutAccountQuery calls ("About this account") share our
+  // rate limit - report what they leave so the queue keeps a reserve for them
+  function isAboutAccountUrl(url) {
+    return typeof url === 'string' &&
+      url.includes('/i/api/graphql') &&
+      url.includes('/AboutAccountQuery');
+  }
+  
+  function reportRateLimit(rateLimit) {
+    if (rateLimit) {
+      sendEvent('rateLimitStatus', rateLimit);
+    }
+  }
+  
+  // X changes pages with the History API, which the content script can't see
+  // from its isolated world - tell it about every navigation
+  function reportNavigation() {
+    sendEvent('navigation', { url: window.location.href });
+  }
+  
+  for (const method of ['pushState', 'replaceState']) {
+    const originalMethod = history[method];
+    history[method] = function(...args) {
+      const result = originalMethod.apply(this, args);
+      reportNavigation();
+      return result;
+    };
+  }
+  window.addEventListener('popstate', reportNavigation);
+  
   // Intercept fetch to capture Twitter's headers
   const originalFetch = window.fetch;
   window.fetch = function(...args) {
-    const url = args[0];
+    const url = args[0] instanceof Request ? args[0].url : String(args[0]);
     const options = args[1] || {};
     
     // If it's a Twitter GraphQL API call, capture ALL headers
-    if (typeof url === 'string' && url.includes('x.com/i/api/graphql')) {
+    if (url.includes('x.com/i/api/graphql')) {
       if (options.headers) {
         captureHeaders(options.headers);
         console.log('Captured Twitter headers:', Object.keys(twitterHeaders || {}));
       }
+      noteGraphqlRequest(url);
+    }
+    
+    const responsePromise = originalFetch.apply(this, args);
+    
+    if (isHarvestableUrl(url)) {
+      responsePromise.then(response => {
+        if (!response.ok) return;
+        response.clone().json().then(harvestLocations).catch(() => {});
+      }).catch(() => {});
     }
     
-    return originalFetch.apply(this, args);
+    if (isAboutAccountUrl(url)) {
+      responsePromise.then(response => {
+        reportRateLimit(readRateLimitHeaders(name => response.headers.get(name)));
+      }).catch(() => {});
+    }
+    
+    return responsePromise;
   };
   
   // Also intercept XMLHttpRequest
@@ -60,6 +308,26 @@
         Object.assign(headers, this._headers);
       }
       captureHeaders(headers);
+      noteGraphqlRequest(this._url);
+    }
+    if (isHarvestableUrl(this._url)) {
+      this.addEventListener('load', function() {
+        if (this.status < 200 || this.status >= 300) return;
+        try {
+          if (this.responseType === 'json') {
+            harvestLocations(this.response);
+          } else if (this.responseType === '' || this.responseType === 'text') {
+            harvestLocations(JSON.parse(this.responseText));
+          }
+        } catch (error) {
+          // Not JSON, nothing to harvest
+        }
+      });
+    }
+    if (isAboutAccountUrl(this._url)) {
+      this.addEventListener('load', function() {
+        reportRateLimit(readRateLimitHeaders(name => this.getResponseHeader(name)));
+      });
     }
     return originalXHRSend.apply(this, args);
   };
@@ -71,6 +339,189 @@
     return originalSetRequestHeader.apply(this, [header, value]);
   };
   
+  // AboutAccountQuery operation - discovered from Twitter's own requests or JS
+  // bundles, since X rotates the query ID. The last known ID is the fallback.
+  const OPERATION_NAME = 'AboutAccountQuery';
+  const DEFAULT_LOOKUP_TIMEOUT = 10000; // The content script normally sends its own
+  const FALLBACK_QUERY_ID = 'XRqGa7EeokUU5kppkh13EA';
+  const REDISCOVERY_INTERVAL = 10 * 60 * 1000; // Retry failed discovery at most every 10 minutes
+  // Lookups wait this long at most for discovery, then go ahead with the
+  // query ID we have. Separate from the lookup timeout, which only covers the request.
+  const DISCOVERY_WAIT_LIMIT = 15000;
+  const HEADER_WAIT_LIMIT = 3000; // For Twitter's own requests to show us its headers
+  const activeFetches = new Map(); // Request id -> AbortController, until answered
+  
+  let aboutAccountQuery = {
+    queryId: FALLBACK_QUERY_ID,
+    featureSwitches: null,
+    fieldToggles: null,
+    source: 'fallback'
+  };
+  let discoveryPromise = null;
+  let lastDiscoveryAt = 0;
+  
+  // Latest feature flag values seen in Twitter's own GraphQL requests
+  const capturedFeatures = {};
+  
+  // Tell the extension how discovery went, so the popup can show it
+  function reportDiscovery(status, detail) {
+    sendEvent('queryDiscovery', {
+      status,
+      queryId: aboutAccountQuery.queryId,
+      source: aboutAccountQuery.source,
+      detail: detail || null
+    });
+  }
+  
+  // Learn from a GraphQL request Twitter made: its feature flags, and the
+  // query ID if it was an AboutAccountQuery
+  function noteGraphqlRequest(url) {
+    try {
+      const parsed = new URL(url, window.location.origin);
+      const match = parsed.pathname.match(/\/i\/api\/graphql\/([^/]+)\/([^/]+)/);
+      if (!match) return;
+      
+      const features = parsed.searchParams.get('features');
+      if (features) {
+        Object.assign(capturedFeatures, JSON.parse(features));
+      }
+      
+      if (match[2] === OPERATION_NAME && match[1] !== aboutAccountQuery.queryId) {
+        const fieldToggles = parsed.searchParams.get('fieldToggles');
+        aboutAccountQuery = {
+          queryId: match[1],
+          featureSwitches: null,
+          features: features ? JSON.parse(features) : null,
+          fieldToggles: fieldToggles ? JSON.parse(fieldToggles) : null,
+          source: 'intercepted'
+        };
+        console.log(`Discovered ${OPERATION_NAME} query ID from Twitter request: ${match[1]}`);
+        reportDiscovery('ok');
+      }
+    } catch (error) {
+      // Malformed URL or params, ignore
+    }
+  }
+  
+  // Parse a quoted-string array literal like "a","b" from minified JS
+  function parseNameList(list) {
+    return (list.match(/"([^"]+)"/g) || []).map(name => name.slice(1, -1));
+  }
+  
+  // Find the operation definition X registers in its bundle, e.g.
+  // {queryId:"...",operationName:"AboutAccountQuery",operationType:"query",metadata:{featureSwitches:[...],fieldToggles:[...]}}
+  function parseOperation(source) {
+    const index = source.indexOf(`operationName:"${OPERATION_NAME}"`);
+    if (index === -1) return null;
+    
+    const before = source.slice(Math.max(0, index - 200), index);
+    const after = source.slice(index, index + 4000);
+    const queryIdMatch = before.match(/queryId:"([^"]+)"\s*,\s*$/);
+    if (!queryIdMatch) return null;
+    
+    const featureMatch = after.match(/featureSwitches:\[([^\]]*)\]/);
+    const toggleMatch = after.match(/fieldToggles:\[([^\]]*)\]/);
+    return {
+      queryId: queryIdMatch[1],
+      featureSwitches: featureMatch ? parseNameList(featureMatch[1]) : null,
+      fieldToggles: toggleMatch ? parseNameList(toggleMatch[1]) : null,
+      source: 'bundle'
+    };
+  }
+  
+  // Twitter's web client bundles, main bundle first
+  function getBundleUrls() {
+    const urls = new Set();
+    document.querySelectorAll('script[src]').forEach(script => urls.add(script.src));
+    performance.getEntriesByType('resource').forEach(entry => urls.add(entry.name));
+    return Array.from(urls)
+      .filter(url => /abs\.twimg\.com\/responsive-web\/client-web[^/]*\/.+\.js/.test(url))
+      .sort((a, b) => Number(/\/main\./.test(b)) - Number(/\/main\./.test(a)));
+  }
+  
+  // Search X's JS bundles for the current AboutAccountQuery definition
+  async function discoverFromBundles() {
+    for (const bundleUrl of getBundleUrls()) {
+      try {
+        const response = await originalFetch(bundleUrl);
+        if (!response.ok) continue;
+        const operation = parseOperation(await response.text());
+        if (operation) {
+          console.log(`Discovered ${OPERATION_NAME} query ID from bundle: ${operation.queryId}`);
+          return operation;
+        }
+      } catch (error) {
+        // Bundle unavailable, try the next one
+      }
+    }
+    return null;
+  }
+  
+  // Make sure we have the current query ID - runs once, and again after a failure
+  function ensureQueryDiscovered(force = false) {
+    if (aboutAccountQuery.source === 'intercepted' && !force) {
+      return Promise.resolve();
+    }
+    if (discoveryPromise && !(force && Date.now() - lastDiscoveryAt > REDISCOVERY_INTERVAL)) {
+      return discoveryPromise;
+    }
+    
+    lastDiscoveryAt = Date.now();
+    discoveryPromise = discoverFromBundles().then(operation => {
+      if (operation) {
+        aboutAccountQuery = operation;
+        reportDiscovery('ok');
+      } else if (aboutAccountQuery.source === 'fallback') {
+        console.log(`Could not discover ${OPERATION_NAME}, using built-in query ID`);
+        reportDiscovery('fallback');
+      }
+    }).catch(error => {
+      console.log('Query discovery failed:', error);
+      reportDiscovery('fallback');
+    });
+    return discoveryPromise;
+  }
+  
+  // Feature flags for our request - use what Twitter's own request sent if we
+  // saw one, otherwise the values Twitter sent for the switches the operation needs
+  function buildFeatures() {
+    if (aboutAccountQuery.features) {
+      return aboutAccountQuery.features;
+    }
+    if (!aboutAccountQuery.featureSwitches) {
+      return null;
+    }
+    const features = {};
+    for (const name of aboutAccountQuery.featureSwitches) {
+      features[name] = capturedFeatures[name] ?? false;
+    }
+    return features;
+  }
+  
+  function buildFieldToggles() {
+    const toggles = aboutAccountQuery.fieldToggles;
+    if (!toggles) return null;
+    if (!Array.isArray(toggles)) return toggles;
+    const result = {};
+    for (const name of toggles) {
+      result[name] = false;
+    }
+    return result;
+  }
+  
+  function buildAboutAccountUrl(screenName) {
+    const params = new URLSearchParams({ variables: JSON.stringify({ screenName }) });
+    const features = buildFeatures();
+    if (features) {
+      params.set('features', JSON.stringify(features));
+    }
+    const fieldToggles = buildFieldToggles();
+    if (fieldToggles) {
+      params.set('fieldToggles', JSON.stringify(fieldToggles));
+    }
+    return `https://x.com/i/api/graphql/${aboutAccountQuery.queryId}/${OPERATION_NAME}?${params}`;
+  }
+  
   // Wait a bit for Twitter to make some API calls first
   setTimeout(() => {
     if (!headersReady) {
@@ -83,103 +534,233 @@
     }
   }, 3000);
   
-  // Listen for fetch requests from content script via postMessage
-  window.addEventListener('message', async function(event) {
-    // Only accept messages from our extension
-    if (event.data && event.data.type === '__fetchLocation') {
-      const { screenName, requestId } = event.data;
+  // X's rate limit headers, sent on every API response - null if missing.
+  // getHeader reads one header from a fetch Response or an XHR.
+  function readRateLimitHeaders(getHeader) {
+    const limit = parseInt(getHeader('x-rate-limit-limit'), 10);
+    const remaining = parseInt(getHeader('x-rate-limit-remaining'), 10);
+    const resetTime = parseInt(getHeader('x-rate-limit-reset'), 10);
+    if (Number.isNaN(limit) || Number.isNaN(remaining)) {
+      return null;
+    }
+    return { limit, remaining, resetTime: Number.isNaN(resetTime) ? null : resetTime };
+  }
+  
+  // Outcome of a lookup that got an answer: found or no-location for a real
+  // account, not-found or suspended when there's no account to read
+  function classifyUserResult(userResult, location) {
+    if (location) return 'found';
+    if (!userResult || Object.keys(userResult).length === 0) return 'not-found';
+    if (userResult.__typename === 'UserUnavailable') {
+      const reason = userResult.reason || userResult.unavailable_reason || '';
+      return /suspend/i.test(reason) ? 'suspended' : 'not-found';
+    }
+    return 'no-location';
+  }
+  
+  // Outcome of a lookup X refused
+  function classifyErrorStatus(status) {
+    if (status === 429) return 'rate-limited';
+    if (status === 401 || status === 403) return 'auth-error';
+    return 'transient-error'; // 5xx, and 400/404 while we look for a new query ID
+  }
+  
+  // Resolve when discovery has finished or after DISCOVERY_WAIT_LIMIT,
+  // whichever comes first - a slow bundle fetch mustn't hold up every lookup
+  function waitForQueryDiscovery() {
+    let waitTimeout;
+    const limit = new Promise(resolve => {
+      waitTimeout = setTimeout(() => {
+        console.log(`${OPERATION_NAME} discovery still running, using query ID ${aboutAccountQuery.queryId}`);
+        resolve();
+      }, DISCOVERY_WAIT_LIMIT);
+    });
+    return Promise.race([ensureQueryDiscovered(), limit]).finally(() => clearTimeout(waitTimeout));
+  }
+  
+  // Whether an AboutAccountQuery response has the user container we know,
+  // even if it's empty (which is how X answers for handles that don't exist)
+  function hasUserContainer(data) {
+    return USER_RESULT_PATHS.some(path => {
+      const container = getPath(data, path.slice(0, -1));
+      return Boolean(container) && typeof container === 'object';
+    });
+  }
+  
+  // Look up one account's location and answer the content script's request.
+  // The fetch is aborted after timeoutMs so a slow request doesn't keep running
+  // after the extension has given up on it. Waiting for headers and query
+  // discovery has its own limits and doesn't count towards timeoutMs, so the
+  // content script may give up first - it then cancels the request, which
+  // aborts the fetch or stops it from starting at all.
+  async function fetchLocation(requestId, screenName, timeoutMs) {
+    const controller = new AbortController();
+    activeFetches.set(requestId, controller);
+    
+    // Wait for headers to be ready
+    const headerWaitStart = Date.now();
+    while (!headersReady && Date.now() - headerWaitStart < HEADER_WAIT_LIMIT && !controller.signal.aborted) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    
+    if (!controller.signal.aborted) {
+      await waitForQueryDiscovery();
+    }
+    if (controller.signal.aborted) {
+      console.log(`Lookup for ${screenName} cancelled before it was sent`);
+      activeFetches.delete(requestId);
+      return;
+    }
+    
+    let abortTimeout = null;
+    let outcome;
+    let location = null;
+    let profile = null;
+    let rateLimit = null;
+    let detail = null;
+    try {
+      const url = buildAboutAccountUrl(screenName);
       
-      // Wait for headers to be ready
-      if (!headersReady) {
-        let waitCount = 0;
-        while (!headersReady && waitCount < 30) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-          waitCount++;
-        }
-      }
+      // Use captured headers or minimal defaults
+      const headers = twitterHeaders || {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      };
       
-      try {
-        const variables = JSON.stringify({ screenName });
-        const url = `https://x.com/i/api/graphql/XRqGa7EeokUU5kppkh13EA/AboutAccountQuery?variables=${encodeURIComponent(variables)}`;
-        
-        // Use captured headers or minimal defaults
-        const headers = twitterHeaders || {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        };
+      // Ensure credentials are included - bypass our own fetch wrapper
+      abortTimeout = setTimeout(() => controller.abort(), timeoutMs);
+      const response = await originalFetch(url, {
+        method: 'GET',
+        credentials: 'include',
+        headers: headers,
+        referrer: window.location.href,
+        referrerPolicy: 'origin-when-cross-origin',
+        signal: controller.signal
+      });
+      
+      rateLimit = readRateLimitHeaders(name => response.headers.get(name));
+      if (response.ok) {
+        const data = await response.json();
+        console.log(`API response for ${screenName}:`, data);
+        const userResult = extractUserResult(data);
+        location = extractLocation(userResult) || findLocationField(data);
+        profile = extractProfile(userResult);
+        if (!location && !userResult && !hasUserContainer(data)) {
+          // Only GraphQL errors, or a shape we don't know - usually a stale
+          // query ID or changed features, which says nothing about the account
+          outcome = 'transient-error';
+          detail = Array.isArray(data?.errors)
+            ? `GraphQL error: ${data.errors[0]?.message || 'unknown'}`
+            : 'Unrecognised response';
+          console.log(`${OPERATION_NAME} ${aboutAccountQuery.queryId} gave no user for ${screenName}: ${detail}`);
+          reportDiscovery('failed', detail);
+          ensureQueryDiscovered(true);
+        } else {
+          outcome = classifyUserResult(userResult, location);
+        }
+        console.log(`Extracted location for ${screenName}:`, location, `(${outcome})`);
         
-        // Ensure credentials are included
-        const response = await fetch(url, {
-          method: 'GET',
-          credentials: 'include',
-          headers: headers,
-          referrer: window.location.href,
-          referrerPolicy: 'origin-when-cross-origin'
-        });
+        // Debug: log the full path to see what's available
+        if (outcome === 'no-location') {
+          console.log('User result available but no location:', {
+            hasAboutProfile: !!userResult.about_profile,
+            aboutProfile: userResult.about_profile
+          });
+        }
+      } else {
+        outcome = classifyErrorStatus(response.status);
+        detail = `HTTP ${response.status}`;
         
-        let location = null;
-        if (response.ok) {
-          const data = await response.json();
-          console.log(`API response for ${screenName}:`, data);
-          location = data?.data?.user_result_by_screen_name?.result?.about_profile?.account_based_in || null;
-          console.log(`Extracted location for ${screenName}:`, location);
+        if (response.status === 400 || response.status === 404) {
+          // X rotated the query ID or changed the operation - look for the new one
+          console.log(`${OPERATION_NAME} ${aboutAccountQuery.queryId} rejected with ${response.status}`);
+          reportDiscovery('failed', detail);
+          ensureQueryDiscovered(true);
+        } else if (response.status === 429) {
+          // Handle rate limiting
+          const resetTime = rateLimit?.resetTime;
           
-          // Debug: log the full path to see what's available
-          if (!location && data?.data?.user_result_by_screen_name?.result) {
-            console.log('User result available but no location:', {
-              hasAboutProfile: !!data.data.user_result_by_screen_name.result.about_profile,
-              aboutProfile: data.data.user_result_by_screen_name.result.about_profile
+          if (resetTime) {
+            const resetDate = new Date(resetTime * 1000);
+            const now = Date.now();
+            const waitTime = resetDate.getTime() - now;
+            
+            console.log(`Rate limited! Limit: ${rateLimit.limit}, Remaining: ${rateLimit.remaining}`);
+            console.log(`Rate limit resets at: ${resetDate.toLocaleString()}`);
+            console.log(`Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes before retrying...`);
+            
+            // Store rate limit info for content script
+            sendEvent('rateLimitInfo', {
+              resetTime,
+              waitTime: Math.max(0, waitTime)
             });
           }
         } else {
           const errorText = await response.text().catch(() => '');
-          
-          // Handle rate limiting
-          if (response.status === 429) {
-            const resetTime = response.headers.get('x-rate-limit-reset');
-            const remaining = response.headers.get('x-rate-limit-remaining');
-            const limit = response.headers.get('x-rate-limit-limit');
-            
-            if (resetTime) {
-              const resetDate = new Date(parseInt(resetTime) * 1000);
-              const now = Date.now();
-              const waitTime = resetDate.getTime() - now;
-              
-              console.log(`Rate limited! Limit: ${limit}, Remaining: ${remaining}`);
-              console.log(`Rate limit resets at: ${resetDate.toLocaleString()}`);
-              console.log(`Waiting ${Math.ceil(waitTime / 1000 / 60)} minutes before retrying...`);
-              
-              // Store rate limit info for content script
-              window.postMessage({
-                type: '__rateLimitInfo',
-                resetTime: parseInt(resetTime),
-                waitTime: Math.max(0, waitTime)
-              }, '*');
-            }
-          } else {
-            console.log(`Twitter API error for ${screenName}:`, response.status, response.statusText, errorText.substring(0, 200));
-          }
+          console.log(`Twitter API error for ${screenName}:`, response.status, response.statusText, errorText.substring(0, 200));
         }
-        
-        // Send response back to content script via postMessage
-        // Include error status so content script knows not to cache on rate limit
-        window.postMessage({
-          type: '__locationResponse',
-          screenName,
-          location,
-          requestId,
-          isRateLimited: response.status === 429
-        }, '*');
-      } catch (error) {
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log(`Lookup for ${screenName} timed out or was cancelled, aborted`);
+        outcome = 'timeout';
+      } else {
+        // Network failure or a response that wasn't JSON
         console.error('Error fetching location:', error);
-        window.postMessage({
-          type: '__locationResponse',
-          screenName,
-          location: null,
-          requestId
-        }, '*');
+        outcome = 'transient-error';
+        detail = error.message;
       }
+    } finally {
+      clearTimeout(abortTimeout);
+      activeFetches.delete(requestId);
     }
-  });
+    
+    // Send response back to content script - the outcome tells the
+    // background whether to cache, retry or give up
+    postEnvelope('response', 'fetchLocation', {
+      screenName,
+      outcome,
+      location,
+      profile,
+      rateLimit,
+      detail
+    }, requestId);
+  }
+  
+  // Handle a request envelope from the content script
+  function handleRequest(message) {
+    if (!isValidEnvelope(message)) {
+      console.log('Rejected unauthenticated message on extension channel');
+      return;
+    }
+    
+    if (message.name === 'fetchLocation' && typeof message.payload.screenName === 'string') {
+      const timeoutMs = Number.isFinite(message.payload.timeout) ? message.payload.timeout : DEFAULT_LOOKUP_TIMEOUT;
+      fetchLocation(message.id, message.payload.screenName, timeoutMs);
+    }
+    if (message.name === 'cancelRequest') {
+      // The content script stopped waiting - don't spend the rate limit on it
+      activeFetches.get(message.payload.requestId)?.abort();
+      activeFetches.delete(message.payload.requestId);
+    }
+  }
+  
+  // Accept the content script's MessagePort - the first handshake only
+  function handleConnect(event) {
+    if (channelPort || event.source !== window || !event.data || event.data.type !== '__twitterFlagConnect') return;
+    if (event.data.protocol !== CHANNEL_PROTOCOL || typeof event.data.nonce !== 'string' || !event.ports[0]) return;
+    
+    // Keep the handshake from reaching other listeners
+    stopEvent.call(event);
+    
+    channelNonce = event.data.nonce;
+    channelPort = event.ports[0];
+    addListener.call(channelPort, 'message', (portEvent) => handleRequest(portEvent.data));
+    startPort.call(channelPort);
+    pendingEvents.splice(0).forEach(envelope => postToPort.call(channelPort, envelope));
+  }
+  
+  // Registered before any page script runs, so it's the first listener
+  addListener.call(window, 'message', handleConnect, true);
 })();
 
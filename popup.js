@@ -1,39 +1,231 @@
-// Popup script for extension toggle
-const TOGGLE_KEY = 'extension_enabled';
-const DEFAULT_ENABLED = true;
+// Popup script for extension toggle and the most used display settings - the
+// rest live on the options page. Settings are saved to chrome.storage.sync and
+// open x.com tabs pick them up through chrome.storage.onChanged.
+const QUERY_DISCOVERY_KEY = 'query_discovery';
+const LAYOUT_CHECK_KEY = 'layout_check';
 
 // Get toggle element
 const toggleSwitch = document.getElementById('toggleSwitch');
 const status = document.getElementById('status');
+const apiStatus = document.getElementById('apiStatus');
+const layoutStatus = document.getElementById('layoutStatus');
+const optionsLink = document.getElementById('optionsLink');
+
+// Lookup queue dashboard
+const QUEUE_STATUS_INTERVAL = 1000;
+const queueLength = document.getElementById('queueLength');
+const activeRequests = document.getElementById('activeRequests');
+const requestPace = document.getElementById('requestPace');
+const rateLimitRemaining = document.getElementById('rateLimitRemaining');
+const rateLimitRow = document.getElementById('rateLimitRow');
+const rateLimitLabel = document.getElementById('rateLimitLabel');
+const rateLimitReset = document.getElementById('rateLimitReset');
+const sessionStats = document.getElementById('sessionStats');
+const pauseButton = document.getElementById('pauseQueue');
+const clearButton = document.getElementById('clearQueue');
+const queueActionStatus = document.getElementById('queueActionStatus');
+
+// Manual location and note for any account
+const overrideForm = document.getElementById('overrideForm');
+const overrideHandle = document.getElementById('overrideHandle');
+const overrideLocation = document.getElementById('overrideLocation');
+const overrideNote = document.getElementById('overrideNote');
+const overrideStatus = document.getElementById('overrideStatus');
+
+// Watchlist of accounts re-checked in the background
+const watchForm = document.getElementById('watchForm');
+const watchHandle = document.getElementById('watchHandle');
+const unwatchButton = document.getElementById('unwatchButton');
+const watchStatus = document.getElementById('watchStatus');
+
+// Settings controls, by setting key
+const settingInputs = {
+  badge_display: document.getElementById('badgeDisplay'),
+  badge_position: document.getElementById('badgePosition'),
+  flag_style: document.getElementById('flagStyle'),
+  profile_indicators: document.getElementById('profileIndicators'),
+  breakdown_panel: document.getElementById('breakdownPanel')
+};
+
+let isEnabled = SETTINGS_SCHEMA.extension_enabled.default;
+let queuePaused = false;
 
 // Load current state
-chrome.storage.local.get([TOGGLE_KEY], (result) => {
-  const isEnabled = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
+loadSettings().then((settings) => {
+  isEnabled = settings.extension_enabled;
   updateToggle(isEnabled);
+  for (const [key, input] of Object.entries(settingInputs)) {
+    if (input.type === 'checkbox') {
+      input.checked = settings[key];
+    } else {
+      input.value = settings[key];
+    }
+  }
 });
 
+for (const [key, input] of Object.entries(settingInputs)) {
+  input.addEventListener('change', () => {
+    saveSettings({ [key]: input.type === 'checkbox' ? input.checked : input.value });
+  });
+}
+
 // Toggle click handler
 toggleSwitch.addEventListener('click', () => {
-  chrome.storage.local.get([TOGGLE_KEY], (result) => {
-    const currentState = result[TOGGLE_KEY] !== undefined ? result[TOGGLE_KEY] : DEFAULT_ENABLED;
-    const newState = !currentState;
-    
-    chrome.storage.local.set({ [TOGGLE_KEY]: newState }, () => {
-      updateToggle(newState);
-      
-      // Notify content script to update
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'extensionToggle',
-            enabled: newState
-          }).catch(() => {
-            // Tab might not have content script loaded yet, that's okay
-          });
-        }
-      });
+  isEnabled = !isEnabled;
+  updateToggle(isEnabled);
+  saveSettings({ extension_enabled: isEnabled });
+});
+
+optionsLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// Ask the background worker for the queue state - the popup only lives while
+// it's open, so polling is enough
+async function refreshQueueStatus() {
+  try {
+    updateQueueStatus(await chrome.runtime.sendMessage({ type: 'getQueueStatus' }));
+  } catch (error) {
+    console.error('Error getting queue status:', error);
+  }
+}
+
+pauseButton.addEventListener('click', async () => {
+  const type = queuePaused ? 'resumeQueue' : 'pauseQueue';
+  try {
+    updateQueueStatus(await chrome.runtime.sendMessage({ type }));
+    queueActionStatus.textContent = '';
+  } catch (error) {
+    console.error(`Error sending ${type}:`, error);
+    queueActionStatus.textContent = `Could not ${queuePaused ? 'resume' : 'pause'} lookups, try again.`;
+  }
+});
+
+clearButton.addEventListener('click', async () => {
+  try {
+    updateQueueStatus(await chrome.runtime.sendMessage({ type: 'clearQueue' }));
+    queueActionStatus.textContent = '';
+  } catch (error) {
+    console.error('Error clearing queue:', error);
+    queueActionStatus.textContent = 'Could not clear the queue, try again.';
+  }
+});
+
+refreshQueueStatus();
+setInterval(refreshQueueStatus, QUEUE_STATUS_INTERVAL);
+
+function parseHandle(value) {
+  const screenName = value.trim().replace(/^@/, '');
+  return /^[A-Za-z0-9_]{1,15}$/.test(screenName) ? screenName : null;
+}
+
+function getOverrideHandle() {
+  return parseHandle(overrideHandle.value);
+}
+
+// Fill in what's already saved for the account, so saving a note doesn't
+// clear its location
+overrideHandle.addEventListener('change', async () => {
+  const screenName = getOverrideHandle();
+  if (!screenName) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getOverride', screenName });
+    overrideLocation.value = response?.override?.location || '';
+    overrideNote.value = response?.override?.note || '';
+    overrideStatus.textContent = response?.override ? `Editing @${screenName}'s saved override.` : '';
+  } catch (error) {
+    console.error('Error loading override:', error);
+  }
+});
+
+overrideForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const screenName = getOverrideHandle();
+  if (!screenName) {
+    overrideStatus.textContent = 'Enter a valid @handle.';
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'setOverride',
+      screenName,
+      location: overrideLocation.value,
+      note: overrideNote.value
     });
-  });
+    if (!response?.ok) {
+      overrideStatus.textContent = 'Could not save, try again.';
+    } else if (response.override) {
+      overrideStatus.textContent = `Saved for @${screenName}.`;
+      overrideForm.reset();
+    } else {
+      overrideStatus.textContent = `Cleared @${screenName}'s override and note.`;
+      overrideForm.reset();
+    }
+  } catch (error) {
+    console.error('Error saving override:', error);
+    overrideStatus.textContent = 'Could not save, try again.';
+  }
+});
+
+// How many accounts are watched and the latest change seen for one of them
+async function updateWatchStatus(message) {
+  try {
+    const [watchlistResponse, changesResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'listWatchlist' }),
+      chrome.runtime.sendMessage({ type: 'listLocationChanges' })
+    ]);
+    const count = watchlistResponse?.watchlist?.length || 0;
+    const latest = changesResponse?.changes?.[0];
+    const parts = [message, `Watching ${count} ${count === 1 ? 'account' : 'accounts'}.`];
+    if (latest) {
+      parts.push(`Latest change: @${latest.screenName}, ${latest.from} → ${latest.to}.`);
+    }
+    watchStatus.textContent = parts.filter(Boolean).join(' ');
+  } catch (error) {
+    console.error('Error loading watchlist:', error);
+  }
+}
+
+async function updateWatchlist(watched) {
+  const screenName = parseHandle(watchHandle.value);
+  if (!screenName) {
+    watchStatus.textContent = 'Enter a valid @handle.';
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'setWatched', screenName, watched });
+    if (!response?.ok) {
+      watchStatus.textContent = response?.error || 'Could not save, try again.';
+      return;
+    }
+    watchForm.reset();
+    updateWatchStatus(watched ? `Added @${screenName}.` : `Removed @${screenName}.`);
+  } catch (error) {
+    console.error('Error updating watchlist:', error);
+    watchStatus.textContent = 'Could not save, try again.';
+  }
+}
+
+watchForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  updateWatchlist(true);
+});
+
+unwatchButton.addEventListener('click', () => updateWatchlist(false));
+
+updateWatchStatus();
+
+// Show whether the page script could find X's AboutAccountQuery
+chrome.storage.local.get([QUERY_DISCOVERY_KEY], (result) => {
+  updateApiStatus(result[QUERY_DISCOVERY_KEY]);
+});
+
+// Show whether the content script still recognises X's page layout
+chrome.storage.local.get([LAYOUT_CHECK_KEY], (result) => {
+  updateLayoutStatus(result[LAYOUT_CHECK_KEY]);
 });
 
 function updateToggle(isEnabled) {
@@ -48,3 +240,73 @@ function updateToggle(isEnabled) {
   }
 }
 
+function updateApiStatus(discovery) {
+  apiStatus.className = 'api-status';
+  if (!discovery || discovery.status === 'ok') {
+    apiStatus.textContent = '';
+    return;
+  }
+  
+  if (discovery.status === 'failed') {
+    apiStatus.classList.add('error');
+    apiStatus.textContent = `Location lookups are failing: X rejected the lookup query (${discovery.detail || 'unknown error'}) and no replacement could be found. Flags will not load until the extension is updated.`;
+  } else {
+    apiStatus.classList.add('warning');
+    apiStatus.textContent = 'Could not find X\'s current lookup query, using the built-in one. Flags may stop loading if X has changed its API.';
+  }
+}
+
+function updateLayoutStatus(check) {
+  layoutStatus.className = 'api-status';
+  if (!check || check.status === 'ok') {
+    layoutStatus.textContent = '';
+    return;
+  }
+  
+  layoutStatus.classList.add('error');
+  if (check.status === 'error') {
+    layoutStatus.textContent = `Layout definition could not be loaded (${check.detail}). Try reinstalling the extension.`;
+  } else {
+    layoutStatus.textContent = `Layout not recognised: X seems to have changed its page layout (${check.detail}, layout v${check.version}). Flags may be missing until the extension is updated.`;
+  }
+}
+
+// Seconds until a Unix timestamp as m:ss, or null if it has passed
+function formatCountdown(resetTime) {
+  const seconds = Math.ceil(resetTime - Date.now() / 1000);
+  if (!resetTime || seconds <= 0) {
+    return null;
+  }
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function updateQueueStatus(queue) {
+  if (!queue) return;
+  queuePaused = queue.paused;
+  queueLength.textContent = queue.paused ? `${queue.queueLength} (paused)` : queue.queueLength;
+  activeRequests.textContent = queue.activeRequests;
+  // Lookups slow down as the rate limit window's budget runs low, and stop
+  // when only the reserve for your own browsing is left
+  requestPace.textContent = queue.holdingReserve
+    ? 'Saving reserve'
+    : `1 every ${(queue.requestInterval / 1000).toFixed(1)}s`;
+  pauseButton.textContent = queue.paused ? 'Resume' : 'Pause';
+  
+  const rateLimit = queue.lastRateLimit;
+  rateLimitRemaining.textContent = rateLimit ? `${rateLimit.remaining} / ${rateLimit.limit}` : '–';
+  
+  // A 429 pauses every lookup until rateLimitResetTime - otherwise show when
+  // the current window resets
+  const limitedFor = formatCountdown(queue.rateLimitResetTime);
+  rateLimitRow.classList.toggle('rate-limited', Boolean(limitedFor));
+  if (limitedFor) {
+    rateLimitLabel.textContent = 'Rate limited, resuming in';
+    rateLimitReset.textContent = limitedFor;
+  } else {
+    rateLimitLabel.textContent = 'Limit resets in';
+    rateLimitReset.textContent = (rateLimit && formatCountdown(rateLimit.resetTime)) || '–';
+  }
+  
+  const stats = queue.stats;
+  sessionStats.textContent = `${stats.success} ok · ${stats.failure} failed · ${stats.timeout} timed out`;
+}
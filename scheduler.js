@@ -0,0 +1,151 @@
+// Incremental page processing - one MutationObserver collects the subtrees X
+// adds, and bursts of mutations are coalesced into a single pass that runs
+// when the browser is idle. A pass only searches the added subtrees, not the
+// whole page.
+const PASS_IDLE_TIMEOUT = 1000; // Run within a second even if the page never goes idle
+const MAX_PENDING_ROOTS = 500; // Past this one full pass is cheaper than many small ones
+const BENCHMARK_SUMMARY_INTERVAL = 50; // Summarise timings every 50 passes in benchmark mode
+
+// Badges, shimmers, panels and cards we add ourselves - adding them mustn't
+// trigger another pass
+const OWN_NODE_SELECTOR = [
+  '[data-twitter-flag]',
+  '[data-twitter-flag-shimmer]',
+  '[data-twitter-flag-indicators]',
+  '.twitter-flag-collapsed',
+  '.twitter-flag-breakdown',
+  '.twitter-flag-card'
+].join(', ');
+
+let observer = null;
+const pendingRoots = new Set();
+let fullPassPending = false;
+let scheduledPass = null;
+let passRequestedAt = 0;
+
+// Benchmark mode logs how long each pass takes
+let benchmarkMode = SETTINGS_SCHEMA.benchmark_mode.default;
+let passCount = 0;
+let passTimings = [];
+
+function setBenchmarkMode(enabled) {
+  benchmarkMode = enabled;
+  passTimings = [];
+}
+
+function schedulePass() {
+  if (scheduledPass !== null) return;
+  passRequestedAt = performance.now();
+  scheduledPass = requestIdleCallback(runScheduledPass, { timeout: PASS_IDLE_TIMEOUT });
+}
+
+// Process the whole page on the next pass (start-up, navigation, settings changes)
+function scheduleFullPass() {
+  fullPassPending = true;
+  pendingRoots.clear();
+  schedulePass();
+}
+
+// Process these added nodes on the next pass
+function scheduleRoots(nodes) {
+  if (fullPassPending) return;
+  for (const node of nodes) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!element || element.closest(OWN_NODE_SELECTOR)) continue;
+    pendingRoots.add(element);
+  }
+  if (pendingRoots.size > MAX_PENDING_ROOTS) {
+    scheduleFullPass();
+  } else if (pendingRoots.size > 0) {
+    schedulePass();
+  }
+}
+
+function cancelScheduledPasses() {
+  if (scheduledPass !== null) {
+    cancelIdleCallback(scheduledPass);
+    scheduledPass = null;
+  }
+  pendingRoots.clear();
+  fullPassPending = false;
+}
+
+// The pending roots still on the page, without any that sit inside another one
+function takePendingRoots() {
+  const roots = [...pendingRoots].filter(root => root.isConnected);
+  pendingRoots.clear();
+  const rootSet = new Set(roots);
+  return roots.filter(root => {
+    for (let parent = root.parentElement; parent; parent = parent.parentElement) {
+      if (rootSet.has(parent)) return false;
+    }
+    return true;
+  });
+}
+
+function runScheduledPass() {
+  scheduledPass = null;
+  if (!extensionEnabled) {
+    cancelScheduledPasses();
+    return;
+  }
+
+  const fullPass = fullPassPending;
+  fullPassPending = false;
+  const roots = fullPass ? [document] : takePendingRoots();
+  if (roots.length === 0) return;
+
+  const waited = performance.now() - passRequestedAt;
+  const startedAt = performance.now();
+  const stats = processUsernames(roots);
+  if (benchmarkMode) {
+    recordPassTiming(fullPass, roots.length, stats, performance.now() - startedAt, waited);
+  }
+}
+
+function recordPassTiming(fullPass, rootCount, stats, duration, waited) {
+  passCount++;
+  passTimings.push(duration);
+  performance.measure(`twitter-flag pass ${passCount}`, { start: performance.now() - duration, duration });
+  console.log(
+    `[benchmark] Pass ${passCount} (${fullPass ? 'full page' : `${rootCount} subtrees`}): ` +
+    `${stats.containers} containers, ${stats.found} accounts, ${stats.processed} new in ${duration.toFixed(1)}ms ` +
+    `(waited ${Math.round(waited)}ms for idle)`
+  );
+
+  if (passTimings.length >= BENCHMARK_SUMMARY_INTERVAL) {
+    const sorted = [...passTimings].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, timing) => sum + timing, 0);
+    const p95 = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))];
+    console.log(
+      `[benchmark] Last ${sorted.length} passes: average ${(total / sorted.length).toFixed(1)}ms, ` +
+      `95th percentile ${p95.toFixed(1)}ms, slowest ${sorted[sorted.length - 1].toFixed(1)}ms`
+    );
+    passTimings = [];
+  }
+}
+
+// Watch for content X adds (infinite scroll, replies, hovercards, dialogs)
+function initObserver() {
+  if (observer) {
+    observer.disconnect();
+  }
+
+  observer = new MutationObserver((mutations) => {
+    // Don't process if extension is disabled
+    if (!extensionEnabled) {
+      return;
+    }
+
+    for (const mutation of mutations) {
+      if (mutation.addedNodes.length > 0) {
+        scheduleRoots(mutation.addedNodes);
+      }
+    }
+  });
+
+  observer.observe(document.body, {
+    childList: true,
+    subtree: true
+  });
+}
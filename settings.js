@@ -0,0 +1,124 @@
+// Settings schema shared by the background worker, content scripts, popup and
+// options page. Every setting is stored under its own key in
+// chrome.storage.sync, and anything missing or invalid falls back to its
+// default, so a bad synced value can never break the extension.
+const SETTINGS_SCHEMA = {
+  extension_enabled: { type: 'boolean', default: true },
+  badge_display: { type: 'enum', values: ['flag', 'code', 'name', 'flag-name'], default: 'flag' },
+  badge_position: { type: 'enum', values: ['before-handle', 'after-name', 'after-timestamp'], default: 'before-handle' },
+  flag_style: { type: 'enum', values: ['auto', 'emoji', 'svg'], default: 'auto' },
+  profile_indicators: { type: 'boolean', default: false },
+  breakdown_panel: { type: 'boolean', default: true },
+  surface_settings: { type: 'flags', default: {} }, // Enabled state by surface id
+  filter_rules: { type: 'rules', default: [] },
+  min_request_interval_ms: { type: 'number', min: 500, max: 60000, default: 2000 },
+  max_concurrent_requests: { type: 'number', min: 1, max: 5, default: 2 },
+  lookup_timeout_ms: { type: 'number', min: 2000, max: 60000, default: 10000 },
+  location_ttl_days: { type: 'number', min: 1, max: 365, default: 30 },
+  no_location_ttl_days: { type: 'number', min: 1, max: 90, default: 3 },
+  watchlist_interval_hours: { type: 'number', min: 1, max: 168, default: 24 }, // Re-check watched accounts this often
+  watchlist_budget_percent: { type: 'number', min: 1, max: 50, default: 10 }, // Share of X's rate limit for re-checks
+  benchmark_mode: { type: 'boolean', default: false } // Log how long each page pass takes
+};
+
+// Settings used to live in chrome.storage.local - copied to sync once
+const SETTINGS_MIGRATED_KEY = 'settings_migrated';
+
+function isValidFilterRule(rule) {
+  return Boolean(rule) &&
+    ['hide', 'dim', 'collapse'].includes(rule.action) &&
+    (rule.match === 'in' || rule.match === 'not-in') &&
+    Array.isArray(rule.countries) &&
+    rule.countries.every(country => typeof country === 'string');
+}
+
+// Return value if it fits the schema, otherwise the default
+function validateSetting(key, value) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema || value === undefined || value === null) {
+    return schema?.default;
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? value : schema.default;
+    case 'enum':
+      return schema.values.includes(value) ? value : schema.default;
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return schema.default;
+      return Math.min(schema.max, Math.max(schema.min, Math.round(number)));
+    }
+    case 'flags':
+      if (typeof value !== 'object' || Array.isArray(value)) return schema.default;
+      return Object.fromEntries(Object.entries(value).filter(([, enabled]) => typeof enabled === 'boolean'));
+    case 'rules':
+      return Array.isArray(value) ? value.filter(isValidFilterRule) : schema.default;
+    default:
+      return schema.default;
+  }
+}
+
+function validateSettings(values) {
+  const settings = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    settings[key] = validateSetting(key, values[key]);
+  }
+  return settings;
+}
+
+// Every setting, validated and with defaults filled in
+async function loadSettings() {
+  const values = await chrome.storage.sync.get(Object.keys(SETTINGS_SCHEMA));
+  return validateSettings(values);
+}
+
+// Save some settings - unknown keys are dropped and values validated first
+async function saveSettings(changes) {
+  const values = {};
+  for (const [key, value] of Object.entries(changes)) {
+    if (SETTINGS_SCHEMA[key]) {
+      values[key] = validateSetting(key, value);
+    }
+  }
+  await chrome.storage.sync.set(values);
+  return values;
+}
+
+// Call callback with the validated new values of settings that changed, in
+// any extension context
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    const changed = {};
+    for (const [key, change] of Object.entries(changes)) {
+      if (SETTINGS_SCHEMA[key]) {
+        changed[key] = validateSetting(key, change.newValue);
+      }
+    }
+    if (Object.keys(changed).length > 0) {
+      callback(changed);
+    }
+  });
+}
+
+// Copy settings saved by older versions in chrome.storage.local to sync
+async function migrateLocalSettings() {
+  const local = await chrome.storage.local.get([SETTINGS_MIGRATED_KEY, ...Object.keys(SETTINGS_SCHEMA)]);
+  if (local[SETTINGS_MIGRATED_KEY]) {
+    return;
+  }
+
+  const legacy = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    if (local[key] !== undefined) {
+      legacy[key] = local[key];
+    }
+  }
+  if (Object.keys(legacy).length > 0) {
+    await saveSettings(legacy);
+    await chrome.storage.local.remove(Object.keys(legacy));
+    console.log('Moved settings to sync storage:', Object.keys(legacy));
+  }
+  await chrome.storage.local.set({ [SETTINGS_MIGRATED_KEY]: true });
+}
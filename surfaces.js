@@ -0,0 +1,165 @@
+// Surface registry - every part of X that shows accounts, how to find the
+// handles in it and where their badges go. Each surface can be switched off in
+// the options page.
+//
+// selectorKey names the layout.json selector for the surface's containers.
+// findIdentities(root) returns { element, screenName, kind, anchor } for each
+// account: element is the slot the badge state lives on, and anchor is set for
+// badges that go right after a link or handle instead of in a User-Name block.
+
+// Enabled state by surface id (the surface_settings setting), unset surfaces
+// use their default
+let surfaceSettings = {};
+
+// Screen name a profile link points at, or null for other routes
+function getLinkScreenName(link) {
+  const match = link.getAttribute('href')?.match(/^\/([A-Za-z0-9_]{1,15})\/?(?:\?|$)/);
+  if (!match) return null;
+  return isExcludedRoute(match[1]) ? null : match[1];
+}
+
+// Quote tweets are rendered as a role="link" block inside the outer tweet
+function isInQuotedTweet(element, article) {
+  const quote = closestLayout(element, 'quotedTweet');
+  return Boolean(quote && article.contains(quote));
+}
+
+// Every account shown in a tweet: the author, the quoted tweet's author, the
+// reposter in the "X reposted" line and the accounts in "Replying to @a @b"
+function findTweetIdentities(article) {
+  const identities = [];
+
+  queryAllLayout(article, 'tweetNameBlock').forEach(element => {
+    const screenName = extractUsername(element);
+    if (!screenName) return;
+    const kind = isInQuotedTweet(element, article) ? 'quoted' : 'author';
+    // Only the first unquoted User-Name is the author
+    if (kind === 'author' && identities.some(identity => identity.kind === 'author')) return;
+    identities.push({ element, screenName, kind, anchor: null });
+  });
+
+  const socialContext = queryLayout(article, 'socialContext');
+  const reposterLink = socialContext?.closest('a[href^="/"]') || socialContext?.querySelector('a[href^="/"]');
+  const reposter = reposterLink && getLinkScreenName(reposterLink);
+  if (reposter) {
+    identities.push({ element: reposterLink, screenName: reposter, kind: 'reposter', anchor: reposterLink });
+  }
+
+  // Reply targets are @handle links outside the User-Name blocks and tweet text
+  article.querySelectorAll('a[href^="/"]').forEach(link => {
+    if (!link.textContent?.trim().startsWith('@')) return;
+    if (['tweetNameBlock', 'tweetText', 'socialContext'].some(key => closestLayout(link, key))) return;
+    const screenName = getLinkScreenName(link);
+    if (screenName && link.textContent.trim().slice(1).toLowerCase() === screenName.toLowerCase()) {
+      identities.push({ element: link, screenName, kind: 'reply-to', anchor: link });
+    }
+  });
+
+  return identities;
+}
+
+// A single account shown in a User-Name style block
+function findSingleIdentity(root, kind) {
+  const screenName = extractUsername(root);
+  return screenName ? [{ element: root, screenName, kind, anchor: null }] : [];
+}
+
+// Avatars carry the screen name in their test id
+function getAvatarScreenName(avatar) {
+  const match = avatar.dataset.testid?.match(getAvatarTestIdPattern());
+  return match ? match[1] : null;
+}
+
+// Where a badge goes for an account found by its avatar: after its @handle if
+// the surface shows one, otherwise after the avatar
+function findHandleAnchor(root, screenName, avatar) {
+  const handle = `@${screenName}`.toLowerCase();
+  for (const element of root.querySelectorAll('a[href^="/"], span')) {
+    if (element.textContent?.trim().toLowerCase() === handle) {
+      return element;
+    }
+  }
+  return avatar;
+}
+
+// Accounts in surfaces that show avatars rather than User-Name blocks - DMs,
+// grouped notifications, Spaces
+function findAvatarIdentities(root, kind, limit = Infinity) {
+  const identities = [];
+  const seen = new Set();
+  for (const avatar of queryAllLayout(root, 'avatar')) {
+    const screenName = getAvatarScreenName(avatar);
+    if (!screenName || seen.has(screenName.toLowerCase())) continue;
+    seen.add(screenName.toLowerCase());
+
+    const anchor = findHandleAnchor(root, screenName, avatar);
+    identities.push({ element: anchor, screenName, kind, anchor });
+    if (identities.length >= limit) break;
+  }
+  return identities;
+}
+
+const SURFACES = [
+  {
+    id: 'tweets',
+    label: 'Tweets',
+    selectorKey: 'tweet',
+    defaultEnabled: true,
+    findIdentities: findTweetIdentities
+  },
+  {
+    id: 'user-cells',
+    label: 'Follower, list member and people lists',
+    selectorKey: 'userCell',
+    defaultEnabled: true,
+    findIdentities: (root) => findSingleIdentity(root, 'user')
+  },
+  {
+    id: 'profiles',
+    label: 'Profile headers',
+    selectorKey: 'profileNameBlock',
+    defaultEnabled: true,
+    // Name blocks inside the other surfaces are handled with them
+    findIdentities: (root) => root.parentElement &&
+      ['tweet', 'userCell', 'hoverCard', 'notification'].some(key => closestLayout(root.parentElement, key))
+      ? [] : findSingleIdentity(root, 'user')
+  },
+  {
+    id: 'hovercards',
+    label: 'Profile hovercards',
+    selectorKey: 'hoverCard',
+    defaultEnabled: true,
+    findIdentities: (root) => findAvatarIdentities(root, 'hovercard', 1)
+  },
+  {
+    id: 'notifications',
+    label: 'Notifications',
+    selectorKey: 'notification',
+    defaultEnabled: true,
+    // "A, B and 5 others liked" - one badge per avatar shown
+    findIdentities: (root) => findAvatarIdentities(root, 'notification')
+  },
+  {
+    id: 'messages',
+    label: 'Direct messages',
+    selectorKey: 'dmConversation',
+    defaultEnabled: true,
+    // Inbox rows show one account; in an open conversation the first avatar is the header's
+    findIdentities: (root) => findAvatarIdentities(root, 'message', 1)
+  },
+  {
+    id: 'spaces',
+    label: 'Spaces participants',
+    selectorKey: 'spaceParticipants',
+    defaultEnabled: true,
+    findIdentities: (root) => findAvatarIdentities(root, 'space')
+  }
+];
+
+function isSurfaceEnabled(surface) {
+  return surfaceSettings[surface.id] ?? surface.defaultEnabled;
+}
+
+function getEnabledSurfaces() {
+  return SURFACES.filter(isSurfaceEnabled);
+}
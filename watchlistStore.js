@@ -0,0 +1,133 @@
+// Watchlist of accounts re-checked in the background, and the log of location
+// changes seen for them. Like the overrides they live in their own IndexedDB
+// database, so clearing the cache never touches them.
+const WATCHLIST_DB_NAME = 'twitter_location_watchlist';
+const WATCHLIST_DB_VERSION = 1;
+const WATCHLIST_STORE = 'watchlist';
+const CHANGES_STORE = 'changes';
+const MAX_WATCHLIST_ENTRIES = 1000;
+const MAX_CHANGE_LOG_ENTRIES = 500; // Oldest changes dropped first
+
+let watchlistDbPromise = null;
+
+function openWatchlistDb() {
+  if (!watchlistDbPromise) {
+    watchlistDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(WATCHLIST_DB_NAME, WATCHLIST_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(WATCHLIST_STORE)) {
+          db.createObjectStore(WATCHLIST_STORE, { keyPath: 'handle' });
+        }
+        if (!db.objectStoreNames.contains(CHANGES_STORE)) {
+          db.createObjectStore(CHANGES_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        watchlistDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return watchlistDbPromise;
+}
+
+// { handle, screenName, addedAt, lastCheckedAt } or null if not watched
+async function getWatchlistEntry(screenName) {
+  const db = await openWatchlistDb();
+  const entry = await requestToPromise(
+    db.transaction(WATCHLIST_STORE).objectStore(WATCHLIST_STORE).get(normalizeHandle(screenName))
+  );
+  return entry || null;
+}
+
+async function getWatchlist() {
+  const db = await openWatchlistDb();
+  return requestToPromise(db.transaction(WATCHLIST_STORE).objectStore(WATCHLIST_STORE).getAll());
+}
+
+// Add or remove an account. Resolves the watchlist entry, or null if removed.
+async function setWatched(screenName, watched) {
+  const db = await openWatchlistDb();
+  const handle = normalizeHandle(screenName);
+  if (watched) {
+    const existing = await getWatchlistEntry(screenName);
+    if (existing) {
+      return existing;
+    }
+    const count = await requestToPromise(
+      db.transaction(WATCHLIST_STORE).objectStore(WATCHLIST_STORE).count()
+    );
+    if (count >= MAX_WATCHLIST_ENTRIES) {
+      throw new Error(`The watchlist is full (${MAX_WATCHLIST_ENTRIES} accounts)`);
+    }
+  }
+
+  const entry = watched ? { handle, screenName, addedAt: Date.now(), lastCheckedAt: 0 } : null;
+  const transaction = db.transaction(WATCHLIST_STORE, 'readwrite');
+  const store = transaction.objectStore(WATCHLIST_STORE);
+  if (entry) {
+    store.put(entry);
+  } else {
+    store.delete(handle);
+  }
+  await transactionDone(transaction);
+  return entry;
+}
+
+// Record a background re-check. Does nothing if the account was removed meanwhile.
+async function markWatchlistChecked(screenName, checkedAt = Date.now()) {
+  const db = await openWatchlistDb();
+  const transaction = db.transaction(WATCHLIST_STORE, 'readwrite');
+  const store = transaction.objectStore(WATCHLIST_STORE);
+  store.get(normalizeHandle(screenName)).onsuccess = (event) => {
+    const entry = event.target.result;
+    if (entry) {
+      entry.lastCheckedAt = checkedAt;
+      store.put(entry);
+    }
+  };
+  await transactionDone(transaction);
+}
+
+// Add a change to the log: { id, handle, screenName, from, to, changedAt }
+async function addLocationChange(screenName, from, to, changedAt = Date.now()) {
+  const db = await openWatchlistDb();
+  const transaction = db.transaction(CHANGES_STORE, 'readwrite');
+  const store = transaction.objectStore(CHANGES_STORE);
+  const change = { handle: normalizeHandle(screenName), screenName, from, to, changedAt };
+  store.add(change);
+
+  // Ids only go up, so the first keys are the oldest changes
+  store.count().onsuccess = (event) => {
+    let toDelete = event.target.result - MAX_CHANGE_LOG_ENTRIES;
+    if (toDelete <= 0) return;
+    store.openCursor().onsuccess = (cursorEvent) => {
+      const cursor = cursorEvent.target.result;
+      if (cursor && toDelete > 0) {
+        cursor.delete();
+        toDelete--;
+        cursor.continue();
+      }
+    };
+  };
+  await transactionDone(transaction);
+  return change;
+}
+
+// Newest first
+async function getLocationChanges() {
+  const db = await openWatchlistDb();
+  const changes = await requestToPromise(
+    db.transaction(CHANGES_STORE).objectStore(CHANGES_STORE).getAll()
+  );
+  return changes.reverse();
+}
+
+async function clearLocationChanges() {
+  const db = await openWatchlistDb();
+  const transaction = db.transaction(CHANGES_STORE, 'readwrite');
+  transaction.objectStore(CHANGES_STORE).clear();
+  await transactionDone(transaction);
+}